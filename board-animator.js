@@ -0,0 +1,214 @@
+/**
+ * @class BoardAnimator
+ * @description Animates moves on the board: slides the moving pieces, then plays the explosion on the blast squares.
+ * Each step waits for the browser's transitionend/animationend events, so the next step starts exactly when
+ * the previous one has finished, with a timer in case the event never comes (the squares were re-rendered).
+ * Animation can be turned off, e.g. for players who prefer reduced motion.
+ */
+export class BoardAnimator {
+  /**
+   * @param {function(string): (Element|null)} getSquareElement - Returns the DOM element of a square
+   * given its chess notation ("e4").
+   */
+  constructor(getSquareElement) {
+    this.getSquareElement = getSquareElement;
+    this.fallbackMargin = 200; // ms past a step's CSS duration after which it is finished anyway
+    this.animation = null; // the animation in progress: {cleanups, finish}
+
+    // follow the operating system's reduced motion setting by default
+    this.enabled = !(
+      window.matchMedia &&
+      window.matchMedia("(prefers-reduced-motion: reduce)").matches
+    );
+  }
+
+  /**
+   * Animates a move that has already been made in the game.
+   * Slides the moving piece (and the rook when castling) from its old square to its new one,
+   * renders the new position, and for captures plays the explosion before finishing.
+   * Without animation, renders the new position and finishes right away.
+   * An animation still in progress is finished first.
+   *
+   * @param {Object} move - The move that was made (see ChessGame.createMove).
+   * @param {function(): void} render - Draws the position after the move.
+   * @param {function(): void} onComplete - Called once the animation has finished.
+   * @param {boolean} [slide=true] - Whether to slide the pieces; false when the player dragged the piece there.
+   */
+  animateMove(move, render, onComplete, slide = true) {
+    this.cancel();
+    if (!this.enabled) {
+      render();
+      onComplete();
+      return;
+    }
+
+    const slides = [];
+    if (slide) {
+      slides.push({ from: move.from, to: move.to });
+    }
+    if (move.castling) {
+      slides.push({ from: move.rookFrom, to: move.rookTo });
+    }
+
+    let rendered = false;
+    const animation = {
+      cleanups: [], // remove the steps' listeners, timers and classes
+      finish: () => {
+        if (this.animation !== animation) return; // already finished
+        this.animation = null;
+        animation.cleanups.forEach((cleanup) => cleanup());
+        if (!rendered) render();
+        onComplete();
+      },
+    };
+    this.animation = animation;
+
+    this.slidePieces(slides, animation.cleanups, () => {
+      rendered = true;
+      render();
+      if (move.isCapture) {
+        this.playExplosion(move, animation.cleanups, animation.finish);
+      } else {
+        animation.finish();
+      }
+    });
+  }
+
+  /**
+   * Finishes the animation in progress right away, if any: renders the position after the move
+   * and calls its onComplete. Used before the squares are re-rendered or the game is replaced.
+   */
+  cancel() {
+    if (this.animation !== null) this.animation.finish();
+  }
+
+  /**
+   * Slides pieces from their squares to their destinations, all at the same time.
+   *
+   * @param {{from: string, to: string}[]} slides - The pieces to slide, by square in chess notation.
+   * @param {Array<function(): void>} cleanups - Where to add the functions that stop the slides.
+   * @param {function(): void} onComplete - Called once every piece has arrived.
+   */
+  slidePieces(slides, cleanups, onComplete) {
+    if (slides.length === 0) {
+      onComplete();
+      return;
+    }
+
+    let remaining = slides.length;
+    const finishSlide = () => {
+      remaining--;
+      if (remaining === 0) onComplete();
+    };
+
+    slides.forEach((slide) => {
+      const fromElement = this.getSquareElement(slide.from);
+      const toElement = this.getSquareElement(slide.to);
+      const piece = fromElement && fromElement.querySelector(".piece");
+      if (!piece || !toElement || slide.from === slide.to) {
+        finishSlide();
+        return;
+      }
+
+      const fromRect = fromElement.getBoundingClientRect();
+      const toRect = toElement.getBoundingClientRect();
+
+      fromElement.classList.add("slide-origin"); // keep the piece above the other squares
+      piece.classList.add("sliding");
+      piece.getBoundingClientRect(); // apply the transition before moving the piece
+
+      const stop = () => {
+        clearTimeout(timer);
+        piece.removeEventListener("transitionend", arrive);
+        fromElement.classList.remove("slide-origin");
+      };
+      const arrive = () => {
+        stop();
+        finishSlide();
+      };
+      const timer = setTimeout(
+        arrive,
+        this.getDuration(getComputedStyle(piece), "transition") +
+          this.fallbackMargin
+      );
+      piece.addEventListener("transitionend", arrive);
+      cleanups.push(stop);
+      piece.style.transform = `translate(${toRect.left - fromRect.left}px, ${
+        toRect.top - fromRect.top
+      }px)`;
+    });
+  }
+
+  /**
+   * Flashes every square in the blast radius and plays an explosion on every square where a piece was destroyed.
+   *
+   * @param {Object} move - The capture that was made (see ChessGame.createMove).
+   * @param {Array<function(): void>} cleanups - Where to add the function that stops the explosion.
+   * @param {function(): void} onComplete - Called once the explosion has finished.
+   */
+  playExplosion(move, cleanups, onComplete) {
+    const blastElements = move.explosionSquares
+      .map((square) => this.getSquareElement(square))
+      .filter((element) => element !== null);
+    const explodedElements = move.explodedPieces
+      .map((exploded) => this.getSquareElement(exploded.square))
+      .filter((element) => element !== null);
+
+    // wait for the explosion centered on the destination square, it lasts the longest
+    const center = this.getSquareElement(move.to);
+    let timer = null;
+    const stop = () => {
+      clearTimeout(timer);
+      center.removeEventListener("animationend", handleAnimationEnd);
+      blastElements.forEach((element) =>
+        element.classList.remove("blast-flash")
+      );
+      explodedElements.forEach((element) =>
+        element.classList.remove("exploding")
+      );
+    };
+    const explode = () => {
+      stop();
+      onComplete();
+    };
+    const handleAnimationEnd = (e) => {
+      if (e.animationName === "explode") explode(); // the blast flash ends earlier
+    };
+    center.addEventListener("animationend", handleAnimationEnd);
+    cleanups.push(stop);
+
+    blastElements.forEach((element) => element.classList.add("blast-flash"));
+    explodedElements.forEach((element) => element.classList.add("exploding"));
+
+    // the explosion is drawn by the center square's ::before
+    timer = setTimeout(
+      explode,
+      this.getDuration(getComputedStyle(center, "::before"), "animation") +
+        this.fallbackMargin
+    );
+  }
+
+  /**
+   * Reads how long an element's CSS transitions or animations take, from its computed style,
+   * so the fallback timers follow the stylesheet.
+   *
+   * @param {CSSStyleDeclaration} style - The element's computed style.
+   * @param {string} kind - "transition" or "animation".
+   * @returns {number} The longest duration plus its delay, in ms (0 if there is none).
+   */
+  getDuration(style, kind) {
+    const toMs = (time) => {
+      const value = parseFloat(time) || 0;
+      return time.trim().endsWith("ms") ? value : value * 1000;
+    };
+    const durations = (style[`${kind}Duration`] || "0s").split(",");
+    const delays = (style[`${kind}Delay`] || "0s").split(",");
+
+    return Math.max(
+      0,
+      ...durations.map(
+        (duration, i) => toMs(duration) + toMs(delays[i % delays.length])
+      )
+    );
+  }
+}
@@ -0,0 +1,166 @@
+/**
+ * @class ChessClock
+ * @description Keeps each player's remaining time for a timed game, with an optional increment or delay per move.
+ * Only the clock of the player to move runs. Time is measured from timestamps, not by counting ticks,
+ * so the clocks stay accurate even when the browser slows down timers in background tabs.
+ */
+export class ChessClock {
+  /**
+   * @param {function(): void} onTick - Called regularly while a clock is running, to redraw the clocks.
+   * @param {function(string): void} onFlag - Called with "WHITE" or "BLACK" when that player runs out of time.
+   */
+  constructor(onTick, onFlag) {
+    this.onTick = onTick;
+    this.onFlag = onFlag;
+    this.tickInterval = 100; // ms between redraws
+    this.runningPlayer = null; // the player whose clock is running, if any
+    this.timer = null;
+
+    this.setTimeControl(null);
+  }
+
+  /**
+   * Sets the time control and resets both clocks. The clocks are stopped until start is called.
+   *
+   * @param {(Object|null)} timeControl - {minutes, increment, delay}, with the increment and delay in seconds,
+   * or null for an untimed game.
+   */
+  setTimeControl(timeControl) {
+    this.stop();
+    this.timeControl = timeControl;
+
+    const initial = timeControl ? timeControl.minutes * 60000 : 0;
+    this.remaining = { WHITE: initial, BLACK: initial }; // ms left, as of when the current turn started
+    this.turnStart = 0; // timestamp when the running player's turn started
+  }
+
+  /**
+   * Determines if the game is timed.
+   *
+   * @returns {boolean} True if a time control is set, false for an untimed game.
+   */
+  isTimed() {
+    return this.timeControl !== null;
+  }
+
+  /**
+   * Starts the clock of the given player.
+   *
+   * @param {string} player - "WHITE" or "BLACK".
+   */
+  start(player) {
+    if (!this.isTimed()) return;
+
+    this.stop();
+    this.runningPlayer = player;
+    this.turnStart = Date.now();
+    this.timer = setInterval(() => this.tick(), this.tickInterval);
+  }
+
+  /**
+   * Ends the turn of the player whose clock is running: adds the increment to their time
+   * and starts their opponent's clock.
+   * If no clock is running yet, starts the clock of the given player (the first move starts the clocks).
+   *
+   * @param {string} nextPlayer - The player to move next, "WHITE" or "BLACK".
+   */
+  switchTurn(nextPlayer) {
+    if (!this.isTimed()) return;
+
+    const player = this.runningPlayer;
+    this.stop();
+    if (player !== null) {
+      this.remaining[player] += this.timeControl.increment * 1000;
+    }
+    this.start(nextPlayer);
+  }
+
+  /**
+   * Stops the running clock, keeping the time used so far.
+   */
+  stop() {
+    if (this.runningPlayer !== null) {
+      this.remaining[this.runningPlayer] = this.getRemaining(
+        this.runningPlayer
+      );
+      this.runningPlayer = null;
+    }
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Returns the time a player has left. While the player's clock runs, the delay of the current turn
+   * is used up before any of their time.
+   *
+   * @param {string} player - "WHITE" or "BLACK".
+   * @returns {number} The remaining time in ms (never negative).
+   */
+  getRemaining(player) {
+    if (player !== this.runningPlayer) return this.remaining[player];
+
+    const elapsed = Date.now() - this.turnStart;
+    const used = Math.max(0, elapsed - this.timeControl.delay * 1000);
+    return Math.max(0, this.remaining[player] - used);
+  }
+
+  /**
+   * Returns the clocks' state, so it can be saved and restored later.
+   *
+   * @returns {{timeControl: (Object|null), remaining: {WHITE: number, BLACK: number}, runningPlayer: (string|null)}}
+   * The time control, each player's remaining time in ms, and the player whose clock is running.
+   */
+  getState() {
+    return {
+      timeControl: this.timeControl,
+      remaining: {
+        WHITE: this.getRemaining("WHITE"),
+        BLACK: this.getRemaining("BLACK"),
+      },
+      runningPlayer: this.runningPlayer,
+    };
+  }
+
+  /**
+   * Restores the clocks from a saved state. The clock that was running starts again from its saved time,
+   * so time spent while the game was closed doesn't count.
+   *
+   * @param {Object} state - A state returned by getState.
+   */
+  restoreState(state) {
+    this.setTimeControl(state.timeControl);
+    this.remaining = { ...state.remaining };
+    if (state.runningPlayer !== null) this.start(state.runningPlayer);
+  }
+
+  /**
+   * Redraws the clocks, and flags the running player if their time is up.
+   */
+  tick() {
+    const player = this.runningPlayer;
+    if (player !== null && this.getRemaining(player) === 0) {
+      this.stop();
+      this.onTick();
+      this.onFlag(player);
+      return;
+    }
+    this.onTick();
+  }
+
+  /**
+   * Formats a remaining time for display: minutes and seconds, with tenths of a second under 10 seconds.
+   *
+   * @param {number} ms - The time in ms.
+   * @returns {string} The formatted time ("4:59", "0:09.3").
+   */
+  formatTime(ms) {
+    if (ms < 10000) {
+      return `0:0${(Math.floor(ms / 100) / 10).toFixed(1)}`;
+    }
+
+    const totalSeconds = Math.ceil(ms / 1000);
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = String(totalSeconds % 60).padStart(2, "0");
+    return `${minutes}:${seconds}`;
+  }
+}
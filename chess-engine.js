@@ -0,0 +1,266 @@
+import { ChessGame } from "./chess-game.js";
+
+/**
+ * @class AtomicEngine
+ * @description Computer opponent for atomic chess.
+ * Searches the game tree with alpha-beta pruning and evaluates positions with an explosion-aware evaluation.
+ * Works on its own ChessGame, so it never changes the game being played; it can run in a Web Worker.
+ */
+export class AtomicEngine {
+  constructor() {
+    this.game = new ChessGame();
+
+    // score for exploding the enemy king (or checkmating it), reduced by the number of plies it takes
+    this.WIN_SCORE = 100000;
+
+    // dict for piece values used by the evaluation (kings are handled separately)
+    this.pieceValues = {
+      1: 500, // black rook
+      2: 300, // black knight
+      3: 300, // black bishop
+      4: 900, // black queen
+      5: 0, // black king
+      6: 100, // black pawn
+      10: 500, // white rook
+      20: 300, // white knight
+      30: 300, // white bishop
+      40: 900, // white queen
+      50: 0, // white king
+      60: 100, // white pawn
+    };
+
+    // difficulty levels: search depth in plies, random noise added to move scores, and time limit in ms
+    this.levels = {
+      easy: { depth: 1, randomness: 200, timeLimit: 1000 },
+      medium: { depth: 2, randomness: 50, timeLimit: 2000 },
+      hard: { depth: 3, randomness: 0, timeLimit: 4000 },
+      expert: { depth: 4, randomness: 0, timeLimit: 6000 },
+    };
+  }
+
+  /**
+   * Finds the best move for the side to move in the given position.
+   * Deepens the search one ply at a time until the level's depth or time limit is reached,
+   * and keeps the best move of the deepest completed search. Its score is kept in this.lastScore.
+   *
+   * @param {string} fen - The position in FEN.
+   * @param {string} [level="medium"] - The difficulty level ("easy", "medium", "hard" or "expert").
+   * @param {Object} [rules={}] - The rules of the game (see ChessGame.setRules); standard atomic chess by default.
+   * @returns {(Object|null)} The chosen move (see ChessGame.createMove), or null if there are no legal moves.
+   */
+  findBestMove(fen, level = "medium", rules = {}) {
+    const settings = this.levels[level] || this.levels.medium;
+    this.game.setRules(rules);
+    this.game.loadFEN(fen);
+
+    let rootMoves = this.game.getLegalMoves();
+    this.lastScore = 0; // score of the chosen move for the side to move (positive is good)
+    if (rootMoves.length === 0) return null;
+
+    this.deadline = Date.now() + settings.timeLimit;
+    this.aborted = false;
+    this.nodes = 0;
+
+    let bestMove = this.orderMoves(rootMoves)[0];
+    for (let depth = 1; depth <= settings.depth; depth++) {
+      const result = this.searchRoot(rootMoves, depth, settings.randomness);
+      if (this.aborted) break;
+
+      bestMove = result.move;
+      this.lastScore = result.score;
+      if (Math.abs(result.score) >= this.WIN_SCORE - 100) break; // forced win or loss found
+
+      // search the best move first next time, for better pruning
+      rootMoves = [bestMove, ...rootMoves.filter((move) => move !== bestMove)];
+    }
+
+    return bestMove;
+  }
+
+  /**
+   * Searches every root move to the given depth and picks the highest scoring one.
+   * With randomness, each move is searched with a full window so that the noise is applied to exact scores.
+   *
+   * @param {Object[]} rootMoves - The legal moves in the root position.
+   * @param {number} depth - The search depth in plies.
+   * @param {number} randomness - The maximum random noise added to each move's score.
+   * @returns {{move: Object, score: number}} The best move and its score.
+   */
+  searchRoot(rootMoves, depth, randomness) {
+    let best = { move: rootMoves[0], score: -Infinity };
+    let alpha = -Infinity;
+
+    for (let move of this.orderMoves(rootMoves)) {
+      const snapshot = this.game.getStateSnapshot();
+      this.playMove(move);
+      const windowStart = randomness > 0 ? -Infinity : alpha;
+      let score = -this.search(depth - 1, -Infinity, -windowStart, 1);
+      this.game.restoreStateSnapshot(snapshot);
+
+      if (this.aborted) break;
+
+      score += (Math.random() * 2 - 1) * randomness;
+      if (score > best.score) best = { move, score };
+      if (score > alpha) alpha = score;
+    }
+    return best;
+  }
+
+  /**
+   * Negamax alpha-beta search from the point of view of the side to move.
+   *
+   * @param {number} depth - The remaining depth in plies.
+   * @param {number} alpha - The score the side to move is already guaranteed.
+   * @param {number} beta - The score the opponent is already guaranteed.
+   * @param {number} ply - The number of plies from the root, used to prefer faster wins.
+   * @returns {number} The score of the position for the side to move.
+   */
+  search(depth, alpha, beta, ply) {
+    this.nodes++;
+    if (this.nodes % 256 === 0 && Date.now() > this.deadline) {
+      this.aborted = true;
+    }
+    if (this.aborted) return 0;
+
+    const player = this.game.currentPlayer;
+
+    // the previous move exploded our king
+    if (this.game.findKing(player) === null) return -(this.WIN_SCORE - ply);
+
+    const moves = this.game.getLegalMoves();
+    if (moves.length === 0) {
+      return this.game.isInCheck() ? -(this.WIN_SCORE - ply) : 0; // checkmate or stalemate
+    }
+    if (depth === 0) return this.evaluate(moves, ply);
+
+    let best = -Infinity;
+    for (let move of this.orderMoves(moves)) {
+      const snapshot = this.game.getStateSnapshot();
+      this.playMove(move);
+      const score = -this.search(depth - 1, -beta, -alpha, ply + 1);
+      this.game.restoreStateSnapshot(snapshot);
+
+      if (this.aborted) return 0;
+
+      if (score > best) best = score;
+      if (best > alpha) alpha = best;
+      if (alpha >= beta) break; // opponent will avoid this line
+    }
+    return best;
+  }
+
+  /**
+   * Plays a move on the engine's board without recording it in the move history.
+   *
+   * @param {Object} move - A legal move created by createMove.
+   */
+  playMove(move) {
+    this.game.applyMove(move);
+    this.game.updateCastlingAndEnPassant(move);
+    this.game.currentPlayer =
+      this.game.currentPlayer === "WHITE" ? "BLACK" : "WHITE";
+  }
+
+  /**
+   * Sorts moves so the most promising are searched first: captures that explode the enemy king,
+   * then captures that destroy the most enemy material for the least of our own, then quiet moves.
+   *
+   * @param {Object[]} moves - The moves to sort.
+   * @returns {Object[]} A new, sorted array of moves.
+   */
+  orderMoves(moves) {
+    return moves
+      .map((move) => ({ move, score: this.scoreExplosion(move) }))
+      .sort((a, b) => b.score - a.score)
+      .map((entry) => entry.move);
+  }
+
+  /**
+   * Scores the material balance of a move's explosion for the player making it.
+   *
+   * @param {Object} move - A move created by createMove.
+   * @returns {number} Enemy material destroyed minus own material destroyed (0 for quiet moves),
+   * or the win score if the explosion destroys the enemy king.
+   */
+  scoreExplosion(move) {
+    if (!move.isCapture) return 0;
+
+    const player = this.game.getPieceOwner(move.piece);
+    if (this.game.getExplodedKings(move).length > 0) return this.WIN_SCORE;
+
+    let score = 0;
+    move.explodedPieces.forEach((exploded) => {
+      const value = this.pieceValues[exploded.piece];
+      score +=
+        this.game.getPieceOwner(exploded.piece) === player ? -value : value;
+    });
+    return score;
+  }
+
+  /**
+   * Evaluates a position from the point of view of the side to move.
+   * Counts material and mobility, and penalizes pieces standing next to their own king,
+   * since a capture on any of them would explode the king too.
+   *
+   * @param {Object[]} moves - The legal moves of the side to move.
+   * @param {number} ply - The number of plies from the root.
+   * @returns {number} The score of the position (positive is good for the side to move).
+   */
+  evaluate(moves, ply) {
+    const player = this.game.currentPlayer;
+    const opponent = player === "WHITE" ? "BLACK" : "WHITE";
+
+    // the side to move can explode the enemy king right away
+    if (moves.some((move) => this.game.getExplodedKings(move).length > 0)) {
+      return this.WIN_SCORE - ply - 1;
+    }
+
+    let score = moves.length * 2; // mobility
+    for (let row = 0; row < 8; row++) {
+      for (let col = 0; col < 8; col++) {
+        const piece = this.game.board[row][col];
+        if (piece === 0) continue;
+
+        const value = this.pieceValues[piece];
+        score += this.game.getPieceOwner(piece) === player ? value : -value;
+      }
+    }
+
+    score -= this.getKingExposure(player);
+    score += this.getKingExposure(opponent);
+    return score;
+  }
+
+  /**
+   * Measures how exposed a player's king is to explosions:
+   * every non-pawn piece within the blast radius of the king is a target whose capture would also destroy the king.
+   * Pawns that are immune to explosions shield the king instead.
+   *
+   * @param {string} player - "WHITE" or "BLACK".
+   * @returns {number} The exposure penalty for the player.
+   */
+  getKingExposure(player) {
+    const king = this.game.findKing(player);
+    if (king === null) return 0;
+
+    const { blastRadius, pawnsImmune } = this.game.rules;
+    let exposure = 0;
+    for (let rowOffset = -blastRadius; rowOffset <= blastRadius; rowOffset++) {
+      for (
+        let colOffset = -blastRadius;
+        colOffset <= blastRadius;
+        colOffset++
+      ) {
+        const piece = this.game.getPieceAt(
+          king.row + rowOffset,
+          king.col + colOffset
+        );
+        if (!piece || piece === this.game.WK || piece === this.game.BK) {
+          continue;
+        }
+        if (!pawnsImmune || !this.game.isPawn(piece)) exposure += 20;
+      }
+    }
+    return exposure;
+  }
+}
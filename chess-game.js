@@ -3,8 +3,11 @@
  * @description Manages the game state, piece movement, and rules of atomic chess.
  * This class handles the core game logic but does not include GUI or user interactions.
  */
-class ChessGame {
-  constructor() {
+export class ChessGame {
+  /**
+   * @param {Object} [rules={}] - The rules to play by (see setRules); standard atomic chess by default.
+   */
+  constructor(rules = {}) {
     // piece definitions (numbers used for easier comparison)
     this.EMPTY = 0;
     this.BR = 1; // Black Rook
@@ -37,28 +40,252 @@ class ChessGame {
       60: "♙", // white pawn
     };
 
+    // dict for FEN letters (uppercase for white, lowercase for black)
+    this.pieceLetters = {
+      1: "r",
+      2: "n",
+      3: "b",
+      4: "q",
+      5: "k",
+      6: "p",
+      10: "R",
+      20: "N",
+      30: "B",
+      40: "Q",
+      50: "K",
+      60: "P",
+    };
+
+    // dict for the pieces of the FEN letters, the reverse of pieceLetters
+    this.letterPieces = {};
+    Object.keys(this.pieceLetters).forEach((piece) => {
+      this.letterPieces[this.pieceLetters[piece]] = Number(piece);
+    });
+
+    // dict for the standard rules (see setRules)
+    this.standardRules = {
+      blastRadius: 1,
+      pawnsImmune: true,
+      chess960: false,
+    };
+
+    // dict for the messages of the error codes of refused moves (see makeMove and parseMove)
+    this.moveErrorMessages = {
+      INVALID_NOTATION:
+        "Squares must be given in chess notation, from a1 to h8.",
+      UNRECOGNIZED_MOVE: "Not a legal move. Type moves like e2e4 or Nf3.",
+      GAME_OVER: "Game is already finished.",
+      EMPTY_SQUARE: "There is no piece on that square.",
+      WRONG_TURN: "Please select one of your own pieces.",
+      OWN_PIECE_CAPTURE: "You can't capture your own piece.",
+      KING_CAPTURE:
+        "Kings cannot capture, because they would explode themselves.",
+      BLOCKED_PATH: "Another piece is in the way.",
+      CASTLING_NOT_ALLOWED:
+        "Castling is not allowed: the king or rook has moved, or the king would castle out of or through check.",
+      INVALID_PIECE_MOVE: "Invalid move according to chess rules.",
+      INVALID_PROMOTION:
+        "Pawns can only promote to a queen, rook, bishop or knight.",
+      EXPLODES_OWN_KING:
+        "This capture would destroy your own king, which is not allowed.",
+      EXPLODES_BOTH_KINGS:
+        "This capture would destroy both kings, which is not allowed.",
+      KING_IN_CHECK: "This move would leave your king in check.",
+    };
+
+    // event listeners by event type (see on), kept across new games
+    this.listeners = {
+      move: [],
+      explosion: [],
+      "turn-change": [],
+      "game-over": [],
+      "illegal-move": [],
+    };
+
+    this.setRules(rules);
     this.initializeGame();
   }
 
+  /**
+   * Sets the rules of the game, for house rules and Atomic960. Options that are left out get their standard value:
+   * - blastRadius: how many squares explosions reach around the capture square, from 0 (only the capturing
+   *   and captured pieces) to 2 (a 5x5 blast). Standard is 1, the 3x3 blast.
+   * - pawnsImmune: whether pawns survive explosions unless they capture or are captured. Standard is true.
+   * - chess960: whether new games start from a random Chess960 back rank, with castling adapted to it. Standard is false.
+   * The blast radius and pawn immunity apply from the next move, the starting position from the next new game.
+   *
+   * @param {Object} [rules={}] - {blastRadius, pawnsImmune, chess960}.
+   * @throws {Error} If an option is unknown or has an invalid value.
+   */
+  setRules(rules = {}) {
+    let merged = { ...this.standardRules, ...rules };
+
+    Object.keys(merged).forEach((name) => {
+      if (!(name in this.standardRules)) {
+        throw new Error(`Unknown rule "${name}".`);
+      }
+    });
+    if (![0, 1, 2].includes(merged.blastRadius)) {
+      throw new Error("Blast radius must be 0, 1 or 2.");
+    }
+    if (typeof merged.pawnsImmune !== "boolean") {
+      throw new Error("Pawn immunity must be true or false.");
+    }
+    if (typeof merged.chess960 !== "boolean") {
+      throw new Error("Chess960 must be true or false.");
+    }
+    this.rules = merged;
+  }
+
+  /**
+   * Subscribes to the game's events. Each listener is called with an event object whose type is the event type:
+   * - "move": {type, move, san, player} after a move is played (including redo), with the move (see createMove),
+   *   its SAN with any check suffix, and the player who made it.
+   * - "explosion": {type, move, center, squares, pieces, survivingPawns} after a capture, with its center square,
+   *   the squares in the blast radius, the destroyed pieces ({square, row, col, piece}) and the pawns that survived.
+   * - "turn-change": {type, player} when the player to move changes after a move or an undo.
+   * - "game-over": {type, gameState, reason, winner, result, move} when the game ends, with the reason (see getEndReason),
+   *   the winner (null for a draw), the PGN result, and the move that ended it (null for a resignation, time or agreement).
+   * - "illegal-move": {type, from, to, promotion, code, message} when makeMove refuses a move,
+   *   with the error code and its message (see makeMove).
+   *
+   * @param {string} type - The event type.
+   * @param {function(Object): void} listener - The function to call.
+   * @throws {Error} If the event type is unknown.
+   */
+  on(type, listener) {
+    if (!this.listeners[type]) {
+      throw new Error(`Unknown event type "${type}".`);
+    }
+    this.listeners[type].push(listener);
+  }
+
+  /**
+   * Unsubscribes a listener added with on.
+   *
+   * @param {string} type - The event type.
+   * @param {function(Object): void} listener - The listener to remove.
+   */
+  off(type, listener) {
+    if (!this.listeners[type]) return;
+    this.listeners[type] = this.listeners[type].filter(
+      (other) => other !== listener
+    );
+  }
+
+  /**
+   * Calls the listeners of an event type. Listeners added or removed while the event is delivered
+   * only take effect from the next event.
+   *
+   * @param {string} type - The event type.
+   * @param {Object} [detail={}] - The event's fields, besides its type.
+   */
+  emit(type, detail = {}) {
+    let event = { type: type, ...detail };
+    this.listeners[type].slice().forEach((listener) => listener(event));
+  }
+
   /**
    * Initializes a new chess game.
-   * Sets the current player to WHITE, game state to UNFINISHED,
-   * and creates a new board with pieces in their starting positions.
+   * Sets the current player to WHITE, game state to UNFINISHED, restores both players' castling rights,
+   * clears the move history, and creates a new board with pieces in their starting positions.
+   * With Chess960 rules, the back ranks are one of the 960 Chess960 starting arrangements, mirrored for black.
+   *
+   * @param {number} [position] - The Chess960 starting position number (0-959, see getChess960BackRank),
+   * chosen at random if omitted. Ignored unless the rules use Chess960.
    */
-  initializeGame() {
+  initializeGame(position) {
     this.currentPlayer = "WHITE";
     this.gameState = "UNFINISHED";
+    this.castlingRights = {
+      WHITE: { kingSide: true, queenSide: true },
+      BLACK: { kingSide: true, queenSide: true },
+    };
+    this.enPassantSquare = null; // square a pawn can capture onto en passant ("e3"), if any
+    this.moveHistory = []; // played moves, oldest first
+    this.redoStack = []; // undone moves, most recently undone last
+    this.halfmoveClock = 0; // moves since the last capture or pawn move
+    this.fullmoveNumber = 1; // starts at 1 and increases after each black move
+    this.startFEN = null; // FEN of the starting position, if it is not the standard one
+    this.pgnHeaders = {}; // PGN tags of a loaded game, kept when exporting it again
+
+    let backRank = "RNBQKBNR";
+    if (this.rules.chess960) {
+      if (position === undefined) position = Math.floor(Math.random() * 960);
+      backRank = this.getChess960BackRank(position);
+    }
 
     this.board = [
-      [this.BR, this.BH, this.BB, this.BQ, this.BK, this.BB, this.BH, this.BR],
+      [...backRank.toLowerCase()].map((letter) => this.letterPieces[letter]),
       [this.BP, this.BP, this.BP, this.BP, this.BP, this.BP, this.BP, this.BP],
       [0, 0, 0, 0, 0, 0, 0, 0],
       [0, 0, 0, 0, 0, 0, 0, 0],
       [0, 0, 0, 0, 0, 0, 0, 0],
       [0, 0, 0, 0, 0, 0, 0, 0],
       [this.WP, this.WP, this.WP, this.WP, this.WP, this.WP, this.WP, this.WP],
-      [this.WR, this.WH, this.WB, this.WQ, this.WK, this.WB, this.WH, this.WR],
+      [...backRank].map((letter) => this.letterPieces[letter]),
+    ];
+
+    // starting columns of each player's king and castling rooks
+    let columns = {
+      king: backRank.indexOf("K"),
+      kingSide: backRank.lastIndexOf("R"),
+      queenSide: backRank.indexOf("R"),
+    };
+    this.castlingColumns = { WHITE: { ...columns }, BLACK: { ...columns } };
+
+    // a Chess960 game always records its starting position, even the standard one, so it can be replayed
+    if (this.rules.chess960) this.startFEN = this.getFEN();
+  }
+
+  /**
+   * Returns the back rank of a Chess960 starting position, numbered as usual from 0 to 959,
+   * where 518 is the standard starting position. The bishops stand on squares of opposite colors
+   * and the king between the two rooks.
+   *
+   * @param {number} position - The position number, from 0 to 959.
+   * @returns {string} White's pieces from the a-file to the h-file, as FEN letters ("RNBQKBNR").
+   * @throws {Error} If the position number is out of range.
+   */
+  getChess960BackRank(position) {
+    if (!Number.isInteger(position) || position < 0 || position > 959) {
+      throw new Error("Chess960 positions are numbered from 0 to 959.");
+    }
+
+    let backRank = Array(8).fill(null);
+    let emptyColumns = () =>
+      backRank.flatMap((letter, col) => (letter === null ? [col] : []));
+    let rest = position;
+
+    backRank[(rest % 4) * 2 + 1] = "B"; // light-squared bishop on b, d, f or h
+    rest = Math.floor(rest / 4);
+    backRank[(rest % 4) * 2] = "B"; // dark-squared bishop on a, c, e or g
+    rest = Math.floor(rest / 4);
+    backRank[emptyColumns()[rest % 6]] = "Q";
+    rest = Math.floor(rest / 6);
+
+    // the knights take two of the five squares left, in one of 10 ways
+    let knightPlacements = [
+      [0, 1],
+      [0, 2],
+      [0, 3],
+      [0, 4],
+      [1, 2],
+      [1, 3],
+      [1, 4],
+      [2, 3],
+      [2, 4],
+      [3, 4],
     ];
+    let empty = emptyColumns();
+    knightPlacements[rest].forEach((index) => (backRank[empty[index]] = "N"));
+
+    // rook, king and rook on the last three squares
+    let [queenSideRook, king, kingSideRook] = emptyColumns();
+    backRank[queenSideRook] = "R";
+    backRank[king] = "K";
+    backRank[kingSideRook] = "R";
+    return backRank.join("");
   }
 
   /**
@@ -89,6 +316,50 @@ class ChessGame {
     }
   }
 
+  /**
+   * Converts board coordinates (row, col) to standard chess notation (like "e4").
+   *
+   * @param {number} row - The row index (0-based, with 0 at the top of the board).
+   * @param {number} col - The column index (0-based, with 0 at the leftmost file).
+   * @returns {string} The chess notation corresponding to the given coordinates.
+   */
+  coordsToChessNotation(row, col) {
+    return String.fromCharCode("a".charCodeAt(0) + col) + (8 - row);
+  }
+
+  /**
+   * Converts chess board notation to zero-based row and column coordinates.
+   *
+   * @param {string} notation - The chess notation string.
+   * @returns {{row: number, col: number}} An object containing the row and column.
+   */
+  chessNotationToCoords(notation) {
+    const col = notation.charCodeAt(0) - "a".charCodeAt(0);
+    const row = 8 - parseInt(notation[1]);
+    return { row, col };
+  }
+
+  /**
+   * Determines if a value is a square in chess notation, from "a1" to "h8".
+   *
+   * @param {*} notation - The value to check.
+   * @returns {boolean} True if the value names a square on the board, false otherwise.
+   */
+  isValidSquare(notation) {
+    return typeof notation === "string" && /^[a-h][1-8]$/.test(notation);
+  }
+
+  /**
+   * Returns the player that owns the given piece.
+   *
+   * @param {number} piece - The numeric representation of a chess piece.
+   * @returns {(string|null)} "WHITE" or "BLACK", or null for an empty square.
+   */
+  getPieceOwner(piece) {
+    if (piece === 0 || piece === null) return null;
+    return piece >= 10 ? "WHITE" : "BLACK";
+  }
+
   /**
    * Determines if the given piece belongs to the current player.
    *
@@ -105,6 +376,16 @@ class ChessGame {
     }
   }
 
+  /**
+   * Determines if the given piece is a pawn of either color.
+   *
+   * @param {number} piece - The numeric representation of a chess piece.
+   * @returns {boolean} True if the piece is a pawn, false otherwise.
+   */
+  isPawn(piece) {
+    return piece === this.BP || piece === this.WP;
+  }
+
   /**
    * Checks if a horizontal or vertical move from the current position to the destination
    * is blocked by any pieces on the board.
@@ -191,11 +472,33 @@ class ChessGame {
       return false;
     }
 
+    // castling, which in Chess960 moves the king onto its own rook
+    if (movingPiece === this.WK || movingPiece === this.BK) {
+      let castling = this.getCastlingSide(
+        movingPiece,
+        currentCol,
+        currentRow,
+        destCol,
+        destRow
+      );
+      if (castling !== null) return this.canCastle(movingPiece, castling);
+    }
+
     // can't capture own piece
     let destPiece = this.board[destRow][destCol];
     if (movingPiece < 10 && destPiece > 0 && destPiece < 10) return false; // black capturing black
     if (movingPiece >= 10 && destPiece >= 10) return false; // white capturing white
 
+    // en passant: a pawn of the player to move captures onto the square the enemy pawn skipped over,
+    // with the enemy pawn right behind that square
+    let behindRow = movingPiece === this.WP ? destRow + 1 : destRow - 1;
+    let isEnPassant =
+      this.isPawn(movingPiece) &&
+      this.isValidPlayer(movingPiece) &&
+      this.coordsToChessNotation(destRow, destCol) === this.enPassantSquare &&
+      this.isPawn(this.board[behindRow][destCol]) &&
+      !this.isValidPlayer(this.board[behindRow][destCol]);
+
     // piece-specific movement rules
     switch (movingPiece) {
       // rook: horizontal or vertical only
@@ -246,30 +549,42 @@ class ChessGame {
       // king: one square in any direction
       case this.BK:
       case this.WK:
-        if (rowDistance > 1 || colDistance > 1) return false;
         if (destPiece !== 0) return false; // kings cannot capture in atomic chess
+        if (rowDistance > 1 || colDistance > 1) return false;
         return true;
 
       // black pawn
       case this.BP:
         if (destRow <= currentRow) return false; // can't move backwards or sideways
-        if (destPiece === 0 && currentCol !== destCol) return false; // can't move diagonally without capture
+        if (destPiece === 0 && currentCol !== destCol && !isEnPassant)
+          return false; // can't move diagonally without capture
         if (destPiece !== 0 && currentCol === destCol) return false; // can't capture forward
 
-        // first move: can move 2 squares
-        if (currentRow === 1) {
-          return rowDistance <= 2 && currentCol === destCol;
+        // capture: one square diagonally
+        if (currentCol !== destCol) {
+          return rowDistance === 1 && colDistance === 1;
+        }
+
+        // first move: can move 2 squares if the square in between is empty
+        if (currentRow === 1 && rowDistance === 2) {
+          return this.board[currentRow + 1][currentCol] === 0;
         }
         return rowDistance === 1;
 
       // white pawn
       case this.WP:
         if (destRow >= currentRow) return false;
-        if (destPiece === 0 && currentCol !== destCol) return false;
+        if (destPiece === 0 && currentCol !== destCol && !isEnPassant) {
+          return false;
+        }
         if (destPiece !== 0 && currentCol === destCol) return false;
 
-        if (currentRow === 6) {
-          return rowDistance <= 2 && currentCol === destCol;
+        if (currentCol !== destCol) {
+          return rowDistance === 1 && colDistance === 1;
+        }
+
+        if (currentRow === 6 && rowDistance === 2) {
+          return this.board[currentRow - 1][currentCol] === 0;
         }
         return rowDistance === 1;
     }
@@ -278,102 +593,1587 @@ class ChessGame {
   }
 
   /**
-   * Attempts to make a move from one square to another.
-   * Handles move validation, captures, atomic explosions, and updates game state.
+   * Explains why isValidChessMove refused a move.
    *
-   * @param {string} currentSquare - The starting square in chess notation ("e2").
-   * @param {string} destSquare - The destination square in chess notation ("e4").
-   * @returns {{success: boolean, message: string}} An object with (1) a boolean indicating whether the move was successful,
-   * and (2) a message describing the result.
+   * @param {number} movingPiece - The piece to move, encoded as an integer.
+   * @param {number} currentCol - The current column of the piece.
+   * @param {number} currentRow - The current row of the piece.
+   * @param {number} destCol - The destination column.
+   * @param {number} destRow - The destination row.
+   * @returns {string} The error code: "OWN_PIECE_CAPTURE", "KING_CAPTURE", "CASTLING_NOT_ALLOWED",
+   * "BLOCKED_PATH" (the piece moves that way, but something is in between), or "INVALID_PIECE_MOVE".
    */
-  makeMove(currentSquare, destSquare) {
-    // convert chess notation to array indices
-    let currentCol = currentSquare.charCodeAt(0) - "a".charCodeAt(0);
-    let currentRow = 8 - parseInt(currentSquare[1]);
-    let destCol = destSquare.charCodeAt(0) - "a".charCodeAt(0);
-    let destRow = 8 - parseInt(destSquare[1]);
+  getMoveRuleError(movingPiece, currentCol, currentRow, destCol, destRow) {
+    let rowDistance = Math.abs(currentRow - destRow);
+    let colDistance = Math.abs(currentCol - destCol);
+    let destPiece = this.board[destRow][destCol];
+    let isStraight = rowDistance === 0 || colDistance === 0;
+    let isDiagonal = rowDistance === colDistance;
+
+    if (rowDistance === 0 && colDistance === 0) return "INVALID_PIECE_MOVE";
+    if (
+      (movingPiece === this.WK || movingPiece === this.BK) &&
+      this.getCastlingSide(
+        movingPiece,
+        currentCol,
+        currentRow,
+        destCol,
+        destRow
+      ) !== null
+    ) {
+      return "CASTLING_NOT_ALLOWED";
+    }
+    if (
+      destPiece !== 0 &&
+      this.getPieceOwner(destPiece) === this.getPieceOwner(movingPiece)
+    ) {
+      return "OWN_PIECE_CAPTURE";
+    }
 
-    let piece = this.getPieceAt(currentRow, currentCol);
+    switch (movingPiece) {
+      case this.BK:
+      case this.WK:
+        if (destPiece !== 0) return "KING_CAPTURE";
+        if (rowDistance === 0 && colDistance === 2) {
+          return "CASTLING_NOT_ALLOWED";
+        }
+        return "INVALID_PIECE_MOVE";
 
-    if (!this.isValidPlayer(piece)) {
-      return {
-        success: false,
-        message: "Please select one of your own pieces.",
-      };
+      // sliding pieces: the direction is right, so the path must be blocked
+      case this.BR:
+      case this.WR:
+        return isStraight ? "BLOCKED_PATH" : "INVALID_PIECE_MOVE";
+      case this.BB:
+      case this.WB:
+        return isDiagonal ? "BLOCKED_PATH" : "INVALID_PIECE_MOVE";
+      case this.BQ:
+      case this.WQ:
+        return isStraight || isDiagonal ? "BLOCKED_PATH" : "INVALID_PIECE_MOVE";
+
+      // pawns: straight ahead onto or across an occupied square
+      case this.BP:
+      case this.WP: {
+        let forward = movingPiece === this.WP ? -1 : 1;
+        let startRow = movingPiece === this.WP ? 6 : 1;
+        let steps = (destRow - currentRow) * forward;
+        let isAdvance =
+          colDistance === 0 &&
+          (steps === 1 || (steps === 2 && currentRow === startRow));
+        return isAdvance ? "BLOCKED_PATH" : "INVALID_PIECE_MOVE";
+      }
     }
+    return "INVALID_PIECE_MOVE";
+  }
+
+  /**
+   * Works out which way a king move castles, if it is written as castling at all:
+   * the king moves two squares from its starting square towards a rook, or in Chess960,
+   * where the king may only move one square or not at all, it moves onto its own castling rook.
+   * Doesn't check whether castling is allowed (see canCastle).
+   *
+   * @param {number} king - The king to move, encoded as an integer.
+   * @param {number} currentCol - The current column of the king.
+   * @param {number} currentRow - The current row of the king.
+   * @param {number} destCol - The destination column.
+   * @param {number} destRow - The destination row.
+   * @returns {(string|null)} "kingSide" or "queenSide", or null if the move isn't castling.
+   */
+  getCastlingSide(king, currentCol, currentRow, destCol, destRow) {
+    let player = this.getPieceOwner(king);
+    let homeRow = player === "WHITE" ? 7 : 0;
+    let columns = this.castlingColumns[player];
+    if (currentRow !== homeRow || destRow !== homeRow) return null;
+    if (currentCol !== columns.king || destCol === currentCol) return null;
+
+    let side = destCol > currentCol ? "kingSide" : "queenSide";
+    if (this.rules.chess960) {
+      let rook = player === "WHITE" ? this.WR : this.BR;
+      let isOwnRook =
+        destCol === columns[side] && this.board[homeRow][destCol] === rook;
+      return isOwnRook ? side : null;
+    }
+    return Math.abs(destCol - currentCol) === 2 ? side : null;
+  }
+
+  /**
+   * Determines if a king on its starting square may castle on the given side.
+   * The player must still have the castling right and the rook must be on its starting square.
+   * As in standard chess, the king ends on the g- or c-file with the rook beside it on the f- or d-file,
+   * and every square the king or rook crosses or lands on must be empty, apart from the two of them.
+   * The king may not castle out of check or pass through a square where it would be in check.
+   * Whether the king would be in check on its destination square is checked with the other legal moves.
+   *
+   * @param {number} king - The king to castle, encoded as an integer.
+   * @param {string} side - "kingSide" or "queenSide".
+   * @returns {boolean} True if castling is allowed, false otherwise.
+   */
+  canCastle(king, side) {
+    let player = this.getPieceOwner(king);
+    let homeRow = player === "WHITE" ? 7 : 0;
+    if (!this.castlingRights[player][side]) return false;
 
+    let kingCol = this.castlingColumns[player].king;
+    let rookCol = this.castlingColumns[player][side];
+    let rook = player === "WHITE" ? this.WR : this.BR;
     if (
-      !this.isValidChessMove(piece, currentCol, currentRow, destCol, destRow)
+      this.board[homeRow][kingCol] !== king ||
+      this.board[homeRow][rookCol] !== rook
     ) {
-      return {
-        success: false,
-        message: "Invalid move according to chess rules.",
-      };
+      return false;
     }
 
-    if (this.gameState !== "UNFINISHED") {
-      return {
-        success: false,
-        message: "Game is already finished.",
-      };
+    let kingTo = side === "kingSide" ? 6 : 2;
+    let rookTo = side === "kingSide" ? 5 : 3;
+    let firstCol = Math.min(kingCol, rookCol, kingTo, rookTo);
+    let lastCol = Math.max(kingCol, rookCol, kingTo, rookTo);
+    for (let col = firstCol; col <= lastCol; col++) {
+      if (col !== kingCol && col !== rookCol && this.board[homeRow][col]) {
+        return false;
+      }
     }
 
-    // make the move
-    this.setPieceAt(currentRow, currentCol, 0); // remove piece from current square
-    let capturedPiece = this.getPieceAt(destRow, destCol);
+    // can't castle out of check
+    if (this.isInCheck(player)) return false;
 
-    // atomic explosion if capture occurs
-    if (capturedPiece !== 0) {
-      this.setPieceAt(destRow, destCol, 0); // captured piece explodes
-
-      // explode adjacent squares (except for pawns)
-      for (let rowOffset = -1; rowOffset <= 1; rowOffset++) {
-        for (let colOffset = -1; colOffset <= 1; colOffset++) {
-          let explodeRow = destRow + rowOffset;
-          let explodeCol = destCol + colOffset;
-          let explodePiece = this.getPieceAt(explodeRow, explodeCol);
-
-          // skip pawns and nonexistent squares (explosions on the edge of the board)
-          if (
-            explodePiece !== null &&
-            explodePiece !== this.BP &&
-            explodePiece !== this.WP
-          ) {
-            this.setPieceAt(explodeRow, explodeCol, 0);
-          }
+    // can't castle through check: try the king on each square it passes, with the rook lifted off the board
+    let passesThroughCheck = false;
+    this.board[homeRow][kingCol] = 0;
+    this.board[homeRow][rookCol] = 0;
+    for (
+      let col = Math.min(kingCol, kingTo) + 1;
+      col < Math.max(kingCol, kingTo) && !passesThroughCheck;
+      col++
+    ) {
+      this.board[homeRow][col] = king;
+      passesThroughCheck = this.isInCheck(player);
+      this.board[homeRow][col] = 0;
+    }
+    this.board[homeRow][rookCol] = rook;
+    this.board[homeRow][kingCol] = king;
+
+    return !passesThroughCheck;
+  }
+
+  /**
+   * Works out what an atomic explosion centered on the destination square would destroy,
+   * without changing the board. The capturing piece and the captured piece are always destroyed;
+   * every other piece within the blast radius (the 8 adjacent squares by standard rules) is destroyed,
+   * except pawns when they are immune (see setRules).
+   *
+   * @param {number} currentRow - The row index of the capturing piece.
+   * @param {number} currentCol - The column index of the capturing piece.
+   * @param {number} destRow - The row index of the destination square (center of the explosion).
+   * @param {number} destCol - The column index of the destination square (center of the explosion).
+   * @param {number} [captureRow=destRow] - The row index of the captured piece (differs from destRow for en passant).
+   * @param {number} [captureCol=destCol] - The column index of the captured piece.
+   * @returns {{explosionSquares: string[], explodedPieces: Object[], survivingPawns: Object[]}}
+   * The squares inside the blast radius, the pieces destroyed by the blast, and the pawns left standing.
+   * Each piece entry has the form {square, row, col, piece}; the capturing piece is listed on the
+   * destination square, since that is where it explodes.
+   */
+  getExplosion(
+    currentRow,
+    currentCol,
+    destRow,
+    destCol,
+    captureRow = destRow,
+    captureCol = destCol
+  ) {
+    let explosionSquares = [];
+    let explodedPieces = [
+      {
+        square: this.coordsToChessNotation(destRow, destCol),
+        row: destRow,
+        col: destCol,
+        piece: this.board[currentRow][currentCol],
+      },
+      {
+        square: this.coordsToChessNotation(captureRow, captureCol),
+        row: captureRow,
+        col: captureCol,
+        piece: this.board[captureRow][captureCol],
+      },
+    ];
+    let survivingPawns = [];
+    let radius = this.rules.blastRadius;
+
+    for (let rowOffset = -radius; rowOffset <= radius; rowOffset++) {
+      for (let colOffset = -radius; colOffset <= radius; colOffset++) {
+        let explodeRow = destRow + rowOffset;
+        let explodeCol = destCol + colOffset;
+        let explodePiece = this.getPieceAt(explodeRow, explodeCol);
+
+        // skip nonexistent squares (explosions on the edge of the board)
+        if (explodePiece === null) continue;
+
+        let square = this.coordsToChessNotation(explodeRow, explodeCol);
+        explosionSquares.push(square);
+
+        // captured piece is already accounted for,
+        // and the capturing piece has left its starting square
+        if (explodeRow === captureRow && explodeCol === captureCol) continue;
+        if (explodeRow === currentRow && explodeCol === currentCol) continue;
+        if (explodePiece === 0) continue;
+
+        let entry = {
+          square,
+          row: explodeRow,
+          col: explodeCol,
+          piece: explodePiece,
+        };
+        // pawns are immune to the explosion unless directly involved in the capture
+        if (this.rules.pawnsImmune && this.isPawn(explodePiece)) {
+          survivingPawns.push(entry);
+        } else {
+          explodedPieces.push(entry);
         }
       }
     }
-    // normal move (no capture)
-    else {
-      this.setPieceAt(destRow, destCol, piece);
+
+    return { explosionSquares, explodedPieces, survivingPawns };
+  }
+
+  /**
+   * Builds a structured move object describing a move from one square to another,
+   * including capture, explosion and special move information. Does not check whether the move is valid.
+   *
+   * @param {number} currentRow - The row index of the piece to move.
+   * @param {number} currentCol - The column index of the piece to move.
+   * @param {number} destRow - The destination row index.
+   * @param {number} destCol - The destination column index.
+   * @param {string} [promotion="q"] - The piece a pawn reaching the last rank promotes to ("q", "r", "b" or "n").
+   * @returns {Object} The move, with the squares in chess notation and as indices, the moving piece,
+   * the captured piece (0 if none), the explosion details from getExplosion (empty if no capture),
+   * and the special move fields: isEnPassant, castling ("kingSide", "queenSide" or null)
+   * with rookFrom/rookTo, and promotion (the piece letter, or null).
+   */
+  createMove(currentRow, currentCol, destRow, destCol, promotion = "q") {
+    let piece = this.board[currentRow][currentCol];
+    let player = this.getPieceOwner(piece);
+
+    // castling: the king ends on the g- or c-file, even when it is written as moving onto its rook
+    let castling = null;
+    let rookCol = null;
+    if (piece === this.WK || piece === this.BK) {
+      castling = this.getCastlingSide(
+        piece,
+        currentCol,
+        currentRow,
+        destCol,
+        destRow
+      );
+    }
+    if (castling !== null) {
+      rookCol = this.castlingColumns[player][castling];
+      destCol = castling === "kingSide" ? 6 : 2;
     }
 
-    this.checkGameEnd();
-    this.currentPlayer = this.currentPlayer === "WHITE" ? "BLACK" : "WHITE"; // switch player
+    let capturedPiece = castling === null ? this.board[destRow][destCol] : 0;
+    let captureRow = destRow;
+    let captureCol = destCol;
+    let isEnPassant = false;
+
+    // en passant: the captured pawn is beside the capturing pawn, not on the destination square
+    if (this.isPawn(piece) && currentCol !== destCol && capturedPiece === 0) {
+      isEnPassant = true;
+      captureRow = currentRow;
+      capturedPiece = this.board[captureRow][captureCol];
+    }
+
+    let move = {
+      from: this.coordsToChessNotation(currentRow, currentCol),
+      to: this.coordsToChessNotation(destRow, destCol),
+      fromRow: currentRow,
+      fromCol: currentCol,
+      toRow: destRow,
+      toCol: destCol,
+      piece: piece,
+      capturedPiece: capturedPiece,
+      isCapture: capturedPiece !== 0,
+      isEnPassant: isEnPassant,
+      castling: castling,
+      rookFrom: null,
+      rookTo: null,
+      promotion: null,
+      explosionSquares: [],
+      explodedPieces: [],
+      survivingPawns: [],
+    };
+
+    // the rook lands beside the king, on the f- or d-file
+    if (castling !== null) {
+      move.rookFrom = this.coordsToChessNotation(currentRow, rookCol);
+      move.rookTo = this.coordsToChessNotation(
+        currentRow,
+        castling === "kingSide" ? 5 : 3
+      );
+    }
+
+    if (this.isPawn(piece) && (destRow === 0 || destRow === 7)) {
+      move.promotion = promotion.toLowerCase();
+    }
 
-    return { success: true, message: "Move completed successfully." };
+    // explosion is centered on the destination square, even for en passant
+    if (move.isCapture) {
+      Object.assign(
+        move,
+        this.getExplosion(
+          currentRow,
+          currentCol,
+          destRow,
+          destCol,
+          captureRow,
+          captureCol
+        )
+      );
+    }
+    return move;
   }
 
   /**
-   * Checks if either king is missing from the board to determine if the game has ended.
+   * Returns the piece a pawn of the given player promotes to.
+   *
+   * @param {string} letter - The promotion piece letter ("q", "r", "b" or "n"), case-insensitive.
+   * @param {string} player - "WHITE" or "BLACK".
+   * @returns {(number|null)} The promoted piece, or null if the letter is not a valid promotion piece.
    */
-  checkGameEnd() {
-    let blackKingExists = false;
-    let whiteKingExists = false;
+  getPromotionPiece(letter, player) {
+    let pieces = {
+      q: [this.WQ, this.BQ],
+      r: [this.WR, this.BR],
+      b: [this.WB, this.BB],
+      n: [this.WH, this.BH],
+    };
+    let choices = pieces[String(letter).toLowerCase()];
+    if (!choices) return null;
+    return player === "WHITE" ? choices[0] : choices[1];
+  }
+
+  /**
+   * Returns the players whose king would be destroyed by the given move's explosion.
+   *
+   * @param {Object} move - A move created by createMove.
+   * @returns {string[]} "WHITE" and/or "BLACK", or an empty array if no king explodes.
+   */
+  getExplodedKings(move) {
+    let explodedKings = [];
+    move.explodedPieces.forEach((exploded) => {
+      if (exploded.piece === this.WK) explodedKings.push("WHITE");
+      if (exploded.piece === this.BK) explodedKings.push("BLACK");
+    });
+    return explodedKings;
+  }
 
+  /**
+   * Finds the king of the given player.
+   *
+   * @param {string} player - "WHITE" or "BLACK".
+   * @returns {({row: number, col: number}|null)} The king's position, or null if it has exploded.
+   */
+  findKing(player) {
+    let king = player === "WHITE" ? this.WK : this.BK;
     for (let row = 0; row < 8; row++) {
       for (let col = 0; col < 8; col++) {
-        let piece = this.board[row][col];
-        if (piece === this.BK) blackKingExists = true;
-        if (piece === this.WK) whiteKingExists = true;
+        if (this.board[row][col] === king) return { row, col };
       }
     }
+    return null;
+  }
 
-    if (!blackKingExists) {
-      this.gameState = "WHITE_WON";
-    } else if (!whiteKingExists) {
-      this.gameState = "BLACK_WON";
+  /**
+   * Determines if any piece of the given player could capture on the specified square.
+   * Kings are ignored, since they cannot capture in atomic chess.
+   *
+   * @param {number} row - The row index of the square.
+   * @param {number} col - The column index of the square.
+   * @param {string} byPlayer - The attacking player, "WHITE" or "BLACK".
+   * @returns {boolean} True if the square is attacked, false otherwise.
+   */
+  isSquareAttacked(row, col, byPlayer) {
+    for (let attackRow = 0; attackRow < 8; attackRow++) {
+      for (let attackCol = 0; attackCol < 8; attackCol++) {
+        let piece = this.board[attackRow][attackCol];
+        if (this.getPieceOwner(piece) !== byPlayer) continue;
+        if (piece === this.WK || piece === this.BK) continue;
+
+        if (this.isValidChessMove(piece, attackCol, attackRow, col, row)) {
+          return true;
+        }
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Determines if the given player's king is in check.
+   * In atomic chess, a king within the blast radius of the enemy king (touching it, by standard rules)
+   * is never in check, since capturing it would also explode the capturer's own king.
+   *
+   * @param {string} [player=this.currentPlayer] - "WHITE" or "BLACK".
+   * @returns {boolean} True if the player's king is in check, false otherwise.
+   */
+  isInCheck(player = this.currentPlayer) {
+    let opponent = player === "WHITE" ? "BLACK" : "WHITE";
+    let king = this.findKing(player);
+    let opponentKing = this.findKing(opponent);
+    if (king === null || opponentKing === null) return false;
+
+    // kings within each other's blast radius cancel check
+    let radius = this.rules.blastRadius;
+    if (
+      Math.abs(king.row - opponentKing.row) <= radius &&
+      Math.abs(king.col - opponentKing.col) <= radius
+    ) {
+      return false;
+    }
+
+    return this.isSquareAttacked(king.row, king.col, opponent);
+  }
+
+  /**
+   * Determines if a move would leave the moving player's king in check,
+   * by playing it on a copy of the board.
+   *
+   * @param {Object} move - A move created by createMove.
+   * @returns {boolean} True if the player's king would be in check after the move, false otherwise.
+   */
+  leavesKingInCheck(move) {
+    let savedBoard = this.board;
+    this.board = savedBoard.map((row) => row.slice());
+
+    this.applyMove(move);
+    let inCheck = this.isInCheck(this.getPieceOwner(move.piece));
+
+    this.board = savedBoard;
+    return inCheck;
+  }
+
+  /**
+   * Determines if a move that is valid according to chess rules is also legal in atomic chess:
+   * it must not explode the mover's own king, and unless it explodes the enemy king
+   * (which wins immediately, even out of check), it must not leave the mover's king in check.
+   *
+   * @param {Object} move - A move created by createMove.
+   * @returns {boolean} True if the move is legal, false otherwise.
+   */
+  isLegalMove(move) {
+    let player = this.getPieceOwner(move.piece);
+    let explodedKings = this.getExplodedKings(move);
+
+    if (explodedKings.includes(player)) return false;
+    if (explodedKings.length > 0) return true;
+    return !this.leavesKingInCheck(move);
+  }
+
+  /**
+   * Returns every legal move for the piece on the given square, regardless of whose turn it is.
+   *
+   * @param {string} square - The square in chess notation ("e2").
+   * @returns {Object[]} The legal moves (see createMove), or an empty array if the square is empty.
+   */
+  getLegalMovesForSquare(square) {
+    const { row, col } = this.chessNotationToCoords(square);
+    let piece = this.getPieceAt(row, col);
+    if (!piece) return [];
+
+    let moves = [];
+    for (let destRow = 0; destRow < 8; destRow++) {
+      for (let destCol = 0; destCol < 8; destCol++) {
+        if (!this.isValidChessMove(piece, col, row, destCol, destRow)) {
+          continue;
+        }
+
+        let move = this.createMove(row, col, destRow, destCol);
+        if (!this.isLegalMove(move)) continue;
+
+        // a pawn reaching the last rank can promote to any of these pieces
+        if (move.promotion) {
+          ["q", "r", "b", "n"].forEach((promotion) => {
+            moves.push(this.createMove(row, col, destRow, destCol, promotion));
+          });
+        } else {
+          moves.push(move);
+        }
+      }
     }
+    return moves;
+  }
+
+  /**
+   * Returns every legal move for the given player.
+   *
+   * @param {string} [player=this.currentPlayer] - "WHITE" or "BLACK".
+   * @returns {Object[]} The legal moves (see createMove).
+   */
+  getLegalMoves(player = this.currentPlayer) {
+    let moves = [];
+    for (let row = 0; row < 8; row++) {
+      for (let col = 0; col < 8; col++) {
+        if (this.getPieceOwner(this.board[row][col]) === player) {
+          let square = this.coordsToChessNotation(row, col);
+          moves.push(...this.getLegalMovesForSquare(square));
+        }
+      }
+    }
+    return moves;
+  }
+
+  /**
+   * Applies a move created by createMove to the board, including any explosion.
+   *
+   * @param {Object} move - The move to apply.
+   */
+  applyMove(move) {
+    this.setPieceAt(move.fromRow, move.fromCol, 0); // remove piece from current square
+
+    // castling: lift the rook too before putting both down, since in Chess960 the king may land on its square
+    if (move.castling) {
+      let rookFrom = this.chessNotationToCoords(move.rookFrom);
+      let rookTo = this.chessNotationToCoords(move.rookTo);
+      let rook = this.getPieceAt(rookFrom.row, rookFrom.col);
+      this.setPieceAt(rookFrom.row, rookFrom.col, 0);
+      this.setPieceAt(move.toRow, move.toCol, move.piece);
+      this.setPieceAt(rookTo.row, rookTo.col, rook);
+      return;
+    }
+
+    // atomic explosion if capture occurs
+    if (move.isCapture) {
+      move.explodedPieces.forEach((exploded) => {
+        this.setPieceAt(exploded.row, exploded.col, 0);
+      });
+    }
+    // normal move (no capture)
+    else if (move.promotion) {
+      let player = this.getPieceOwner(move.piece);
+      this.setPieceAt(
+        move.toRow,
+        move.toCol,
+        this.getPromotionPiece(move.promotion, player)
+      );
+    } else {
+      this.setPieceAt(move.toRow, move.toCol, move.piece);
+    }
+  }
+
+  /**
+   * Updates castling rights and the en passant square after a move has been applied to the board.
+   * A player loses a castling right once their king has moved or the matching rook has left its starting square,
+   * including when the rook is destroyed by an explosion. (In Chess960 the king may castle without leaving its square.)
+   *
+   * @param {Object} move - The move that was just applied.
+   */
+  updateCastlingAndEnPassant(move) {
+    ["WHITE", "BLACK"].forEach((player) => {
+      let homeRow = player === "WHITE" ? 7 : 0;
+      let king = player === "WHITE" ? this.WK : this.BK;
+      let rook = player === "WHITE" ? this.WR : this.BR;
+      let rights = this.castlingRights[player];
+      let columns = this.castlingColumns[player];
+
+      if (this.board[homeRow][columns.king] !== king || move.piece === king) {
+        rights.kingSide = false;
+        rights.queenSide = false;
+      }
+      if (this.board[homeRow][columns.kingSide] !== rook) {
+        rights.kingSide = false;
+      }
+      if (this.board[homeRow][columns.queenSide] !== rook) {
+        rights.queenSide = false;
+      }
+    });
+
+    // a pawn moving two squares can be captured en passant on the square it skipped
+    if (this.isPawn(move.piece) && Math.abs(move.toRow - move.fromRow) === 2) {
+      this.enPassantSquare = this.coordsToChessNotation(
+        (move.fromRow + move.toRow) / 2,
+        move.fromCol
+      );
+    } else {
+      this.enPassantSquare = null;
+    }
+  }
+
+  /**
+   * Attempts to make a move from one square to another.
+   * Handles move validation, captures, atomic explosions, and updates game state.
+   * A refused move is reported with an "illegal-move" event; a move that is played emits the events of executeMove.
+   *
+   * Refused moves are identified by an error code (the messages are in this.moveErrorMessages):
+   * "INVALID_NOTATION" (a square is not between "a1" and "h8"), "GAME_OVER", "EMPTY_SQUARE", "WRONG_TURN"
+   * (the piece belongs to the opponent), "OWN_PIECE_CAPTURE", "KING_CAPTURE", "BLOCKED_PATH", "CASTLING_NOT_ALLOWED",
+   * "INVALID_PIECE_MOVE" (the piece doesn't move that way), "INVALID_PROMOTION", "EXPLODES_OWN_KING",
+   * "EXPLODES_BOTH_KINGS" or "KING_IN_CHECK" (the move would leave the player's king in check).
+   *
+   * @param {string} currentSquare - The starting square in chess notation ("e2").
+   * @param {string} destSquare - The destination square in chess notation ("e4").
+   * @param {(string|null)} [promotion="q"] - The piece a pawn reaching the last rank promotes to
+   * ("q", "r", "b" or "n"); null also means a queen. Ignored for other moves.
+   * @returns {Object} For a refused move, {success: false, code, message} with the error code and its message.
+   * For a move that was played, {success: true, code: null, message, move, san, piece, capturedPiece, explodedSquares,
+   * gameState}: the move (see createMove), its SAN, the moving and captured pieces (0 if none),
+   * the squares of the pieces destroyed by the explosion, and the game state after the move.
+   */
+  makeMove(currentSquare, destSquare, promotion = "q") {
+    if (promotion === null) promotion = "q";
+    let result = this.tryMove(currentSquare, destSquare, promotion);
+    if (!result.success) {
+      this.emit("illegal-move", {
+        from: currentSquare,
+        to: destSquare,
+        promotion: promotion,
+        code: result.code,
+        message: result.message,
+      });
+    }
+    return result;
+  }
+
+  /**
+   * Creates the result of a refused move (see makeMove).
+   *
+   * @param {string} code - The error code.
+   * @returns {{success: boolean, code: string, message: string}} The result.
+   */
+  moveError(code) {
+    return {
+      success: false,
+      code: code,
+      message: this.moveErrorMessages[code],
+    };
+  }
+
+  /**
+   * Validates and plays a move for makeMove, without reporting refused moves.
+   *
+   * @param {string} currentSquare - The starting square in chess notation ("e2").
+   * @param {string} destSquare - The destination square in chess notation ("e4").
+   * @param {string} promotion - The piece a pawn reaching the last rank promotes to.
+   * @returns {Object} The result (see makeMove).
+   */
+  tryMove(currentSquare, destSquare, promotion) {
+    if (!this.isValidSquare(currentSquare) || !this.isValidSquare(destSquare)) {
+      return this.moveError("INVALID_NOTATION");
+    }
+    if (this.gameState !== "UNFINISHED") {
+      return this.moveError("GAME_OVER");
+    }
+
+    // convert chess notation to array indices
+    let current = this.chessNotationToCoords(currentSquare);
+    let dest = this.chessNotationToCoords(destSquare);
+    let piece = this.getPieceAt(current.row, current.col);
+
+    if (piece === 0) return this.moveError("EMPTY_SQUARE");
+    if (!this.isValidPlayer(piece)) return this.moveError("WRONG_TURN");
+
+    if (
+      !this.isValidChessMove(
+        piece,
+        current.col,
+        current.row,
+        dest.col,
+        dest.row
+      )
+    ) {
+      return this.moveError(
+        this.getMoveRuleError(
+          piece,
+          current.col,
+          current.row,
+          dest.col,
+          dest.row
+        )
+      );
+    }
+
+    let promotes = this.isPawn(piece) && (dest.row === 0 || dest.row === 7);
+    if (
+      promotes &&
+      this.getPromotionPiece(promotion, this.currentPlayer) === null
+    ) {
+      return this.moveError("INVALID_PROMOTION");
+    }
+
+    // simulate the explosion before touching the board
+    let move = this.createMove(
+      current.row,
+      current.col,
+      dest.row,
+      dest.col,
+      promotion
+    );
+    let explodedKings = this.getExplodedKings(move);
+
+    if (explodedKings.includes(this.currentPlayer)) {
+      return this.moveError(
+        explodedKings.length === 2 ? "EXPLODES_BOTH_KINGS" : "EXPLODES_OWN_KING"
+      );
+    }
+
+    // exploding the enemy king wins, even if it leaves our own king in check
+    if (explodedKings.length === 0 && this.leavesKingInCheck(move)) {
+      return this.moveError("KING_IN_CHECK");
+    }
+
+    // make the move
+    this.redoStack = []; // a new move replaces any undone moves
+    this.executeMove(move);
+
+    let explodedSquares = move.explodedPieces.map(
+      (exploded) => exploded.square
+    );
+    return {
+      success: true,
+      code: null,
+      message: "Move completed successfully.",
+      move: move,
+      san: this.moveHistory[this.moveHistory.length - 1].san,
+      piece: move.piece,
+      capturedPiece: move.capturedPiece,
+      explodedSquares: [...new Set(explodedSquares)], // the capturing and captured pieces share a square
+      gameState: this.gameState,
+    };
+  }
+
+  /**
+   * Plays a legal move: applies it to the board, updates castling and en passant state,
+   * switches player, checks for the end of the game, and records the move in the history.
+   *
+   * Each history entry has the form {move, san, player, previousState, positionKey}, where move is the move object
+   * (including every piece destroyed by its explosion), san is the move in Standard Algebraic Notation,
+   * player is who made it, previousState is the snapshot to restore when the move is undone,
+   * and positionKey identifies the position before the move (see getPositionKey), for detecting repetitions.
+   *
+   * Emits a "move" event, then an "explosion" event for a capture, and finally a "game-over" event
+   * if the move ended the game, or a "turn-change" event otherwise (see on).
+   *
+   * @param {Object} move - A legal move created by createMove.
+   */
+  executeMove(move) {
+    let previousState = this.getStateSnapshot();
+    let positionKey = this.getPositionKey();
+    let san = this.getMoveSAN(move);
+
+    this.applyMove(move);
+    this.updateCastlingAndEnPassant(move);
+
+    // update move clocks
+    if (move.isCapture || this.isPawn(move.piece)) {
+      this.halfmoveClock = 0;
+    } else {
+      this.halfmoveClock++;
+    }
+    if (this.currentPlayer === "BLACK") this.fullmoveNumber++;
+
+    this.currentPlayer = this.currentPlayer === "WHITE" ? "BLACK" : "WHITE"; // switch player
+
+    let entry = {
+      move: move,
+      san: san,
+      player: previousState.currentPlayer,
+      previousState: previousState,
+      positionKey: positionKey,
+    };
+    this.moveHistory.push(entry); // recorded before checking for repetitions
+    this.checkGameEnd();
+
+    // exploding the king or checkmating ends the game, both are marked like checkmate
+    if (this.getWinner() !== null) {
+      entry.san += "#";
+    } else if (this.isInCheck()) {
+      entry.san += "+";
+    }
+
+    this.emit("move", { move: move, san: entry.san, player: entry.player });
+    if (move.isCapture) {
+      this.emit("explosion", {
+        move: move,
+        center: move.to,
+        squares: move.explosionSquares,
+        pieces: move.explodedPieces,
+        survivingPawns: move.survivingPawns,
+      });
+    }
+    if (this.gameState !== "UNFINISHED") {
+      this.emitGameOver(move);
+    } else {
+      this.emit("turn-change", { player: this.currentPlayer });
+    }
+  }
+
+  /**
+   * Emits a "game-over" event describing how the game ended (see on).
+   *
+   * @param {(Object|null)} move - The move that ended the game, or null if it ended without a move.
+   */
+  emitGameOver(move) {
+    this.emit("game-over", {
+      gameState: this.gameState,
+      reason: this.getEndReason(),
+      winner: this.getWinner(),
+      result: this.getResult(),
+      move: move,
+    });
+  }
+
+  /**
+   * Takes back the last move, restoring the position and game state from before it was played.
+   * The move can be replayed with redo. Emits a "turn-change" event.
+   *
+   * @returns {boolean} True if a move was undone, false if there is no move to undo.
+   */
+  undo() {
+    if (this.moveHistory.length === 0) return false;
+
+    let entry = this.moveHistory.pop();
+    this.restoreStateSnapshot(entry.previousState);
+    this.redoStack.push(entry);
+    this.emit("turn-change", { player: this.currentPlayer });
+    return true;
+  }
+
+  /**
+   * Replays the most recently undone move.
+   *
+   * @returns {boolean} True if a move was redone, false if there is no move to redo.
+   */
+  redo() {
+    if (this.redoStack.length === 0) return false;
+
+    let entry = this.redoStack.pop();
+    this.executeMove(entry.move);
+    return true;
+  }
+
+  /**
+   * Returns a copy of everything needed to restore the current position and game state.
+   *
+   * @returns {Object} The snapshot: board, currentPlayer, gameState, castlingRights, enPassantSquare,
+   * halfmoveClock and fullmoveNumber.
+   */
+  getStateSnapshot() {
+    return {
+      board: this.board.map((row) => row.slice()),
+      currentPlayer: this.currentPlayer,
+      gameState: this.gameState,
+      castlingRights: {
+        WHITE: { ...this.castlingRights.WHITE },
+        BLACK: { ...this.castlingRights.BLACK },
+      },
+      enPassantSquare: this.enPassantSquare,
+      halfmoveClock: this.halfmoveClock,
+      fullmoveNumber: this.fullmoveNumber,
+    };
+  }
+
+  /**
+   * Restores the position and game state from a snapshot created by getStateSnapshot.
+   * The move history is left unchanged.
+   *
+   * @param {Object} snapshot - The snapshot to restore.
+   */
+  restoreStateSnapshot(snapshot) {
+    this.board = snapshot.board.map((row) => row.slice());
+    this.currentPlayer = snapshot.currentPlayer;
+    this.gameState = snapshot.gameState;
+    this.castlingRights = {
+      WHITE: { ...snapshot.castlingRights.WHITE },
+      BLACK: { ...snapshot.castlingRights.BLACK },
+    };
+    this.enPassantSquare = snapshot.enPassantSquare;
+    this.halfmoveClock = snapshot.halfmoveClock;
+    this.fullmoveNumber = snapshot.fullmoveNumber;
+  }
+
+  /**
+   * Checks whether the game has ended after a move and updates the game state.
+   * The game is won when a king has exploded. Otherwise, if the player to move has no legal moves,
+   * the game ends in checkmate (if that player is in check) or stalemate.
+   * Otherwise the game is drawn by threefold repetition, the fifty-move rule or insufficient material.
+   *
+   * Possible game states are "UNFINISHED", "WHITE_WON", "BLACK_WON" (king exploded),
+   * "WHITE_WON_BY_CHECKMATE", "BLACK_WON_BY_CHECKMATE", "STALEMATE", "DRAW_BY_THREEFOLD_REPETITION",
+   * "DRAW_BY_FIFTY_MOVE_RULE" and "DRAW_BY_INSUFFICIENT_MATERIAL".
+   * Games can also end in "WHITE_WON_ON_TIME" or "BLACK_WON_ON_TIME" (see loseOnTime),
+   * "WHITE_WON_BY_RESIGNATION" or "BLACK_WON_BY_RESIGNATION" (see resign), and "DRAW_BY_AGREEMENT" (see agreeDraw).
+   */
+  checkGameEnd() {
+    if (this.findKing("BLACK") === null) {
+      this.gameState = "WHITE_WON";
+      return;
+    }
+    if (this.findKing("WHITE") === null) {
+      this.gameState = "BLACK_WON";
+      return;
+    }
+
+    if (this.getLegalMoves(this.currentPlayer).length === 0) {
+      if (this.isInCheck(this.currentPlayer)) {
+        this.gameState =
+          this.currentPlayer === "WHITE"
+            ? "BLACK_WON_BY_CHECKMATE"
+            : "WHITE_WON_BY_CHECKMATE";
+      } else {
+        this.gameState = "STALEMATE";
+      }
+      return;
+    }
+
+    if (this.isThreefoldRepetition()) {
+      this.gameState = "DRAW_BY_THREEFOLD_REPETITION";
+    } else if (this.halfmoveClock >= 100) {
+      this.gameState = "DRAW_BY_FIFTY_MOVE_RULE"; // 50 moves by each player without a capture or pawn move
+    } else if (this.isInsufficientMaterial()) {
+      this.gameState = "DRAW_BY_INSUFFICIENT_MATERIAL";
+    }
+  }
+
+  /**
+   * Returns a key identifying the current position for repetition purposes:
+   * the placement of the pieces, the player to move, castling rights,
+   * and the en passant square, but only if an en passant capture is actually legal.
+   *
+   * @returns {string} The first four fields of the FEN, with "-" for an en passant square that can't be used.
+   */
+  getPositionKey() {
+    let fields = this.getFEN().split(" ");
+    let canCaptureEnPassant =
+      this.enPassantSquare !== null &&
+      this.getLegalMoves().some((move) => move.isEnPassant);
+
+    return [
+      fields[0],
+      fields[1],
+      fields[2],
+      canCaptureEnPassant ? fields[3] : "-",
+    ].join(" ");
+  }
+
+  /**
+   * Determines if the current position has occurred at least three times in the game,
+   * with the same player to move, the same castling rights and the same en passant possibilities.
+   *
+   * @returns {boolean} True if the position has been repeated three times, false otherwise.
+   */
+  isThreefoldRepetition() {
+    let key = this.getPositionKey();
+    let count = 1; // the current position
+
+    for (let entry of this.moveHistory) {
+      if (entry.positionKey === key) count++;
+    }
+    return count >= 3;
+  }
+
+  /**
+   * Determines if neither player can win anymore, because neither has the material to explode the enemy king
+   * or checkmate it: only the two kings are left, or a single knight or bishop with them.
+   * A lone king can't capture, so it can never cause an explosion, and a single minor piece can't force one either.
+   *
+   * @returns {boolean} True if the game can't be won by either player, false otherwise.
+   */
+  isInsufficientMaterial() {
+    let others = []; // every piece except the kings
+    for (let row = 0; row < 8; row++) {
+      for (let col = 0; col < 8; col++) {
+        let piece = this.board[row][col];
+        if (piece !== 0 && piece !== this.WK && piece !== this.BK) {
+          others.push(piece);
+        }
+      }
+    }
+
+    if (others.length === 0) return true;
+    if (others.length > 1) return false;
+
+    let minorPieces = [this.WH, this.WB, this.BH, this.BB];
+    return minorPieces.includes(others[0]);
+  }
+
+  /**
+   * Ends an unfinished game because a player ran out of time; their opponent wins. Emits a "game-over" event.
+   *
+   * @param {string} player - The player whose time ran out, "WHITE" or "BLACK".
+   * @returns {boolean} True if the game ended, false if it was already finished.
+   */
+  loseOnTime(player) {
+    if (this.gameState !== "UNFINISHED") return false;
+
+    this.gameState =
+      player === "WHITE" ? "BLACK_WON_ON_TIME" : "WHITE_WON_ON_TIME";
+    this.emitGameOver(null);
+    return true;
+  }
+
+  /**
+   * Ends an unfinished game because a player resigned; their opponent wins. Emits a "game-over" event.
+   *
+   * @param {string} player - The player who resigns, "WHITE" or "BLACK".
+   * @returns {boolean} True if the game ended, false if it was already finished.
+   */
+  resign(player) {
+    if (this.gameState !== "UNFINISHED") return false;
+
+    this.gameState =
+      player === "WHITE"
+        ? "BLACK_WON_BY_RESIGNATION"
+        : "WHITE_WON_BY_RESIGNATION";
+    this.emitGameOver(null);
+    return true;
+  }
+
+  /**
+   * Ends an unfinished game in a draw agreed by both players. Emits a "game-over" event.
+   *
+   * @returns {boolean} True if the game ended, false if it was already finished.
+   */
+  agreeDraw() {
+    if (this.gameState !== "UNFINISHED") return false;
+
+    this.gameState = "DRAW_BY_AGREEMENT";
+    this.emitGameOver(null);
+    return true;
+  }
+
+  /**
+   * Returns why a finished game ended.
+   *
+   * @returns {(string|null)} "king-exploded", "checkmate", "stalemate", "threefold-repetition", "fifty-move-rule",
+   * "insufficient-material", "agreement", "resignation" or "time", or null if the game is unfinished.
+   */
+  getEndReason() {
+    let reasons = {
+      WHITE_WON: "king-exploded",
+      BLACK_WON: "king-exploded",
+      WHITE_WON_BY_CHECKMATE: "checkmate",
+      BLACK_WON_BY_CHECKMATE: "checkmate",
+      STALEMATE: "stalemate",
+      DRAW_BY_THREEFOLD_REPETITION: "threefold-repetition",
+      DRAW_BY_FIFTY_MOVE_RULE: "fifty-move-rule",
+      DRAW_BY_INSUFFICIENT_MATERIAL: "insufficient-material",
+      DRAW_BY_AGREEMENT: "agreement",
+      WHITE_WON_BY_RESIGNATION: "resignation",
+      BLACK_WON_BY_RESIGNATION: "resignation",
+      WHITE_WON_ON_TIME: "time",
+      BLACK_WON_ON_TIME: "time",
+    };
+    return reasons[this.gameState] || null;
+  }
+
+  /**
+   * Returns the winner of a finished game.
+   *
+   * @returns {(string|null)} "WHITE" or "BLACK", or null if the game is unfinished or drawn.
+   */
+  getWinner() {
+    if (this.gameState.startsWith("WHITE_WON")) return "WHITE";
+    if (this.gameState.startsWith("BLACK_WON")) return "BLACK";
+    return null;
+  }
+
+  /**
+   * Returns the current position in Forsyth-Edwards Notation (FEN):
+   * board, side to move, castling rights, en passant square, halfmove clock and fullmove number.
+   * Castling rights are written as in X-FEN, which also covers Chess960: "K" or "Q" when the castling rook
+   * is the outermost rook on that side of the king, otherwise the rook's file ("Gq").
+   *
+   * @returns {string} The FEN string ("rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1").
+   */
+  getFEN() {
+    let ranks = this.board.map((row) => {
+      let rank = "";
+      let emptySquares = 0;
+      row.forEach((piece) => {
+        if (piece === 0) {
+          emptySquares++;
+          return;
+        }
+        if (emptySquares > 0) rank += emptySquares;
+        emptySquares = 0;
+        rank += this.pieceLetters[piece];
+      });
+      if (emptySquares > 0) rank += emptySquares;
+      return rank;
+    });
+
+    let castling = "";
+    ["WHITE", "BLACK"].forEach((player) => {
+      let homeRow = player === "WHITE" ? 7 : 0;
+      let rook = player === "WHITE" ? this.WR : this.BR;
+
+      ["kingSide", "queenSide"].forEach((side) => {
+        if (!this.castlingRights[player][side]) return;
+
+        let rookCol = this.castlingColumns[player][side];
+        let isOutermost = !this.board[homeRow].some(
+          (piece, col) =>
+            piece === rook &&
+            (side === "kingSide" ? col > rookCol : col < rookCol)
+        );
+        let letter = "abcdefgh"[rookCol];
+        if (isOutermost) letter = side === "kingSide" ? "k" : "q";
+        castling += player === "WHITE" ? letter.toUpperCase() : letter;
+      });
+    });
+
+    return [
+      ranks.join("/"),
+      this.currentPlayer === "WHITE" ? "w" : "b",
+      castling || "-",
+      this.enPassantSquare || "-",
+      this.halfmoveClock,
+      this.fullmoveNumber,
+    ].join(" ");
+  }
+
+  /**
+   * Sets up the position described by a FEN string and clears the move history.
+   * The move clocks may be omitted, in which case they default to "0 1".
+   * The whole string is validated before anything changes, so an invalid FEN leaves the game untouched.
+   *
+   * @param {string} fen - The FEN string to load.
+   * @throws {Error} If the FEN is malformed or describes a position that cannot occur in atomic chess.
+   */
+  loadFEN(fen) {
+    let fields = String(fen).trim().split(/\s+/);
+    if (fields.length !== 4 && fields.length !== 6) {
+      throw new Error(
+        "FEN must have 4 or 6 fields: board, side to move, castling, en passant, and optionally the halfmove clock and fullmove number."
+      );
+    }
+    let [placement, side, castling, enPassant] = fields;
+    let [halfmove, fullmove] =
+      fields.length === 6 ? fields.slice(4) : ["0", "1"];
+
+    // board
+    let ranks = placement.split("/");
+    if (ranks.length !== 8) {
+      throw new Error("FEN board must have 8 ranks separated by '/'.");
+    }
+
+    let board = ranks.map((rank, row) => {
+      let rowPieces = [];
+      for (let char of rank) {
+        if (char >= "1" && char <= "8") {
+          for (let i = 0; i < Number(char); i++) rowPieces.push(0);
+        } else if (this.letterPieces[char] !== undefined) {
+          rowPieces.push(this.letterPieces[char]);
+        } else {
+          throw new Error(`Invalid character '${char}' on rank ${8 - row}.`);
+        }
+      }
+      if (rowPieces.length !== 8) {
+        throw new Error(`Rank ${8 - row} must describe exactly 8 squares.`);
+      }
+      return rowPieces;
+    });
+
+    let pieces = board.flat();
+    if (pieces.filter((piece) => piece === this.WK).length !== 1) {
+      throw new Error("White must have exactly one king.");
+    }
+    if (pieces.filter((piece) => piece === this.BK).length !== 1) {
+      throw new Error("Black must have exactly one king.");
+    }
+    if ([...board[0], ...board[7]].some((piece) => this.isPawn(piece))) {
+      throw new Error("Pawns cannot be on the first or last rank.");
+    }
+
+    // side to move
+    if (side !== "w" && side !== "b") {
+      throw new Error("Side to move must be 'w' or 'b'.");
+    }
+    let currentPlayer = side === "w" ? "WHITE" : "BLACK";
+
+    // castling rights (king and rook must still be on their starting squares);
+    // in Chess960 they may also name the rook's file, and "K" and "Q" stand for the outermost rooks
+    let chess960 = this.rules.chess960;
+    let castlingPattern = chess960
+      ? /^(-|[KQA-H]{0,2}[kqa-h]{0,2})$/
+      : /^(-|K?Q?k?q?)$/;
+    if (!castlingPattern.test(castling) || castling === "") {
+      throw new Error(
+        chess960
+          ? "Castling rights must be '-', or 'KQkq' and the files of the castling rooks ('HAha')."
+          : "Castling rights must be '-' or a combination of 'KQkq'."
+      );
+    }
+    let castlingRights = {
+      WHITE: { kingSide: false, queenSide: false },
+      BLACK: { kingSide: false, queenSide: false },
+    };
+    let castlingColumns = {
+      WHITE: { king: 4, kingSide: 7, queenSide: 0 },
+      BLACK: { king: 4, kingSide: 7, queenSide: 0 },
+    };
+    for (let char of castling.replace("-", "")) {
+      let player = char === char.toUpperCase() ? "WHITE" : "BLACK";
+      let homeRow = player === "WHITE" ? 7 : 0;
+      let king = player === "WHITE" ? this.WK : this.BK;
+      let rook = player === "WHITE" ? this.WR : this.BR;
+      let letter = char.toLowerCase();
+      let kingCol = chess960 ? board[homeRow].indexOf(king) : 4;
+      let rookCols = board[homeRow].flatMap((piece, col) =>
+        piece === rook ? [col] : []
+      );
+
+      let rookCol = "abcdefgh".indexOf(letter);
+      if (letter === "k") rookCol = chess960 ? Math.max(...rookCols) : 7;
+      if (letter === "q") rookCol = chess960 ? Math.min(...rookCols) : 0;
+      let side =
+        letter === "k" || (letter !== "q" && rookCol > kingCol)
+          ? "kingSide"
+          : "queenSide";
+
+      if (
+        board[homeRow][kingCol] !== king ||
+        board[homeRow][rookCol] !== rook ||
+        (side === "kingSide") !== rookCol > kingCol
+      ) {
+        throw new Error(
+          `${player} cannot castle ${
+            side === "kingSide" ? "kingside" : "queenside"
+          } without the king and rook on their starting squares.`
+        );
+      }
+      castlingRights[player][side] = true;
+      castlingColumns[player].king = kingCol;
+      castlingColumns[player][side] = rookCol;
+    }
+
+    // en passant square (behind a pawn that just moved two squares)
+    let enPassantSquare = null;
+    if (enPassant !== "-") {
+      let expectedRank = currentPlayer === "WHITE" ? "6" : "3";
+      if (!/^[a-h][36]$/.test(enPassant) || enPassant[1] !== expectedRank) {
+        throw new Error(
+          `En passant square must be '-' or a square on rank ${expectedRank}.`
+        );
+      }
+      let { row, col } = this.chessNotationToCoords(enPassant);
+      let pawnRow = currentPlayer === "WHITE" ? row + 1 : row - 1;
+      let pawn = currentPlayer === "WHITE" ? this.BP : this.WP;
+      if (board[pawnRow][col] !== pawn || board[row][col] !== 0) {
+        throw new Error(
+          `En passant square ${enPassant} must be empty and behind a pawn that just moved two squares.`
+        );
+      }
+      enPassantSquare = enPassant;
+    }
+
+    // move clocks
+    if (!/^\d+$/.test(halfmove)) {
+      throw new Error("Halfmove clock must be a non-negative integer.");
+    }
+    if (!/^\d+$/.test(fullmove) || Number(fullmove) < 1) {
+      throw new Error("Fullmove number must be a positive integer.");
+    }
+
+    // the player who just moved cannot have left their king in check
+    let opponent = currentPlayer === "WHITE" ? "BLACK" : "WHITE";
+    let savedBoard = this.board;
+    this.board = board;
+    let opponentInCheck = this.isInCheck(opponent);
+    this.board = savedBoard;
+    if (opponentInCheck) {
+      throw new Error(
+        `${opponent} is in check, but it is ${currentPlayer}'s turn.`
+      );
+    }
+
+    // everything is valid, set up the position
+    this.initializeGame();
+    this.board = board;
+    this.currentPlayer = currentPlayer;
+    this.castlingRights = castlingRights;
+    this.castlingColumns = castlingColumns;
+    this.enPassantSquare = enPassantSquare;
+    this.halfmoveClock = Number(halfmove);
+    this.fullmoveNumber = Number(fullmove);
+    this.startFEN = this.getFEN();
+    this.checkGameEnd();
+  }
+
+  /**
+   * Returns a legal move in Standard Algebraic Notation ("Nf3", "exd5", "e8=Q", "O-O"),
+   * without the check ("+") or checkmate ("#") suffix, which depends on the position after the move.
+   * Captures are marked with "x" like in standard chess, even though they cause an explosion.
+   *
+   * @param {Object} move - A legal move created by createMove.
+   * @param {Object[]} [legalMoves] - The current player's legal moves, if already generated.
+   * @returns {string} The move in SAN.
+   */
+  getMoveSAN(move, legalMoves) {
+    if (move.castling) {
+      return move.castling === "kingSide" ? "O-O" : "O-O-O";
+    }
+
+    let capture = move.isCapture ? "x" : "";
+
+    if (this.isPawn(move.piece)) {
+      let file = capture ? move.from[0] : "";
+      let promotion = move.promotion ? "=" + move.promotion.toUpperCase() : "";
+      return file + capture + move.to + promotion;
+    }
+
+    // disambiguate between identical pieces that can reach the same square
+    if (legalMoves === undefined) {
+      legalMoves = this.getLegalMoves(this.getPieceOwner(move.piece));
+    }
+    let rivals = legalMoves.filter(
+      (other) =>
+        other.piece === move.piece &&
+        other.to === move.to &&
+        other.from !== move.from
+    );
+
+    let disambiguation = "";
+    if (rivals.length > 0) {
+      if (rivals.every((other) => other.from[0] !== move.from[0])) {
+        disambiguation = move.from[0]; // file is enough
+      } else if (rivals.every((other) => other.from[1] !== move.from[1])) {
+        disambiguation = move.from[1]; // rank is enough
+      } else {
+        disambiguation = move.from;
+      }
+    }
+
+    let letter = this.pieceLetters[move.piece].toUpperCase();
+    return letter + disambiguation + capture + move.to;
+  }
+
+  /**
+   * Finds the current player's legal move matching a move in Standard Algebraic Notation.
+   * Check and annotation suffixes ("+", "#", "!", "?") are ignored, and castling may be written with zeros.
+   *
+   * @param {string} san - The move in SAN ("Nf3", "exd5", "e8=Q", "O-O").
+   * @returns {(Object|null)} The matching legal move, or null if there is none.
+   */
+  findMoveBySAN(san) {
+    let normalized = String(san)
+      .trim()
+      .replace(/[+#?!]+$/, "")
+      .replace(/0/g, "O")
+      .replace(/=([qrbn])$/, (match, piece) => "=" + piece.toUpperCase());
+
+    let legalMoves = this.getLegalMoves();
+    return (
+      legalMoves.find(
+        (move) => this.getMoveSAN(move, legalMoves) === normalized
+      ) || null
+    );
+  }
+
+  /**
+   * Reads a move typed in coordinate notation ("e2e4", "e7e8n") or in Standard Algebraic Notation ("Nf3", "O-O").
+   * Coordinate moves are only read here and checked when they are made; SAN moves must match a legal move.
+   * Text that isn't a move is reported with the error code "UNRECOGNIZED_MOVE" (see moveError).
+   *
+   * @param {string} text - The typed move.
+   * @returns {({from: string, to: string, promotion: (string|null)}|null)} The move's squares and promotion piece
+   * (null if none was given), or null if the text isn't a move.
+   */
+  parseMove(text) {
+    let normalized = String(text).trim();
+    let coordinates = /^([a-h][1-8])-?([a-h][1-8])=?([qrbn])?$/i.exec(
+      normalized
+    );
+    if (coordinates) {
+      return {
+        from: coordinates[1].toLowerCase(),
+        to: coordinates[2].toLowerCase(),
+        promotion: coordinates[3] ? coordinates[3].toLowerCase() : null,
+      };
+    }
+
+    if (this.gameState !== "UNFINISHED") return null;
+    let move = this.findMoveBySAN(normalized);
+    if (move === null) return null;
+    return {
+      from: move.from,
+      to: this.getMoveTarget(move),
+      promotion: move.promotion,
+    };
+  }
+
+  /**
+   * Returns the square to pass to makeMove as a move's destination: for castling in Chess960,
+   * the square of the king's rook (see getCastlingSide), otherwise the square the piece moves to.
+   *
+   * @param {Object} move - A move created by createMove.
+   * @returns {string} The square in chess notation.
+   */
+  getMoveTarget(move) {
+    return move.castling && this.rules.chess960 ? move.rookFrom : move.to;
+  }
+
+  /**
+   * Returns the PGN result of the game.
+   *
+   * @returns {string} "1-0", "0-1", "1/2-1/2", or "*" if the game is unfinished.
+   */
+  getResult() {
+    let winner = this.getWinner();
+    if (winner === "WHITE") return "1-0";
+    if (winner === "BLACK") return "0-1";
+    if (this.gameState !== "UNFINISHED") return "1/2-1/2";
+    return "*";
+  }
+
+  /**
+   * Exports the game in Portable Game Notation, tagged with the Atomic variant (Atomic960 with Chess960 rules).
+   * Tags of a loaded PGN are kept, and can be overridden with the given headers.
+   * Games that started from a custom position include the SetUp and FEN tags,
+   * and games with house rules the BlastRadius and PawnsImmune tags (see setRules).
+   *
+   * @param {Object} [headers={}] - Extra or replacement PGN tags ({White: "Alice"}).
+   * @returns {string} The game in PGN.
+   */
+  exportPGN(headers = {}) {
+    let today = new Date();
+    let date = [
+      today.getFullYear(),
+      String(today.getMonth() + 1).padStart(2, "0"),
+      String(today.getDate()).padStart(2, "0"),
+    ].join(".");
+
+    let result = this.getResult();
+    let tags = {
+      Event: "Casual game",
+      Site: "Atomic Chess",
+      Date: date,
+      Round: "-",
+      White: "?",
+      Black: "?",
+      Result: result,
+      Variant: this.rules.chess960 ? "Atomic960" : "Atomic",
+    };
+    if (this.startFEN !== null) {
+      tags.SetUp = "1";
+      tags.FEN = this.startFEN;
+    }
+    if (this.rules.blastRadius !== this.standardRules.blastRadius) {
+      tags.BlastRadius = String(this.rules.blastRadius);
+    }
+    if (this.rules.pawnsImmune !== this.standardRules.pawnsImmune) {
+      tags.PawnsImmune = this.rules.pawnsImmune ? "1" : "0";
+    }
+    Object.assign(tags, this.pgnHeaders, headers, { Result: result });
+
+    let tagLines = Object.keys(tags).map((name) => {
+      let value = String(tags[name])
+        .replace(/\\/g, "\\\\")
+        .replace(/"/g, '\\"');
+      return `[${name} "${value}"]`;
+    });
+
+    // movetext: number every white move, and the first move if black starts
+    let tokens = [];
+    this.moveHistory.forEach((entry, index) => {
+      let moveNumber = entry.previousState.fullmoveNumber;
+      if (entry.player === "WHITE") {
+        tokens.push(`${moveNumber}.`);
+      } else if (index === 0) {
+        tokens.push(`${moveNumber}...`);
+      }
+      tokens.push(entry.san);
+    });
+    tokens.push(result);
+
+    // wrap movetext at 80 characters
+    let lines = [];
+    let line = "";
+    tokens.forEach((token) => {
+      if (line && line.length + token.length + 1 > 80) {
+        lines.push(line);
+        line = token;
+      } else {
+        line = line ? `${line} ${token}` : token;
+      }
+    });
+    lines.push(line);
+
+    return `${tagLines.join("\n")}\n\n${lines.join("\n")}\n`;
+  }
+
+  /**
+   * Loads a game from Portable Game Notation, replaying its moves so they can be undone and exported again.
+   * The game is played by the rules in the PGN's tags from then on: Chess960 for an Atomic960 game,
+   * and the house rules of the BlastRadius and PawnsImmune tags (see exportPGN).
+   * Comments, variations, annotations and move numbers are ignored.
+   * The whole game is replayed before anything changes, so an invalid PGN leaves the game untouched.
+   *
+   * @param {string} pgn - The game in PGN.
+   * @throws {Error} If the game is not an Atomic game, has invalid rules or an invalid FEN, or contains an illegal move.
+   */
+  loadPGN(pgn) {
+    let text = String(pgn);
+    let headers = {};
+    let tagRegex = /^\s*\[(\w+)\s+"((?:[^"\\]|\\.)*)"\s*\]\s*$/gm;
+    let match;
+    while ((match = tagRegex.exec(text)) !== null) {
+      headers[match[1]] = match[2].replace(/\\(.)/g, "$1");
+    }
+
+    if (headers.Variant !== undefined && !/atomic/i.test(headers.Variant)) {
+      throw new Error(
+        `Unsupported variant "${headers.Variant}": only Atomic games can be loaded.`
+      );
+    }
+
+    // strip tags, comments, variations, annotations, move numbers and the result
+    let movetext = text
+      .replace(tagRegex, "")
+      .replace(/\{[^}]*\}/g, " ")
+      .replace(/;[^\n]*/g, " ");
+    let withoutVariations;
+    while (
+      (withoutVariations = movetext.replace(/\([^()]*\)/g, " ")) !== movetext
+    ) {
+      movetext = withoutVariations;
+    }
+    let sanMoves = movetext
+      .replace(/\$\d+/g, " ")
+      .replace(/\d+\.(\.\.)?/g, " ")
+      .split(/\s+/)
+      .filter((token) => token && !/^(1-0|0-1|1\/2-1\/2|\*)$/.test(token));
+
+    let rules = { chess960: /960/.test(headers.Variant || "") };
+    if (headers.BlastRadius !== undefined) {
+      rules.blastRadius = Number(headers.BlastRadius);
+    }
+    if (headers.PawnsImmune !== undefined) {
+      rules.pawnsImmune = headers.PawnsImmune !== "0";
+    }
+    if (rules.chess960 && headers.FEN === undefined) {
+      throw new Error(
+        "Atomic960 games need their starting position in a FEN tag."
+      );
+    }
+
+    // replay on a separate game so a failure doesn't leave this one half loaded
+    let replay = new ChessGame(rules);
+    if (headers.FEN !== undefined) {
+      replay.loadFEN(headers.FEN);
+    }
+
+    sanMoves.forEach((san, index) => {
+      let move = replay.findMoveBySAN(san);
+      if (move === null || replay.gameState !== "UNFINISHED") {
+        throw new Error(
+          `Illegal or unrecognized move "${san}" (ply ${index + 1}).`
+        );
+      }
+      replay.executeMove(move);
+    });
+
+    this.rules = replay.rules;
+    this.castlingColumns = replay.castlingColumns;
+    this.restoreStateSnapshot(replay.getStateSnapshot());
+    this.moveHistory = replay.moveHistory;
+    this.redoStack = [];
+    this.startFEN = replay.startFEN;
+    this.pgnHeaders = headers;
   }
 }
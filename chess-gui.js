@@ -1,35 +1,133 @@
-class ChessGUI {
+import { ChessGame } from "./chess-game.js";
+import { ChessClock } from "./chess-clock.js";
+import { GameStorage } from "./game-storage.js";
+import { OnlineConnection } from "./online-connection.js";
+import { ComputerPlayer } from "./computer-player.js";
+import { BoardAnimator } from "./board-animator.js";
+import { PieceDragger } from "./piece-dragger.js";
+import { PuzzleTrainer } from "./puzzle-trainer.js";
+
+export class ChessGUI {
   /**
-   * Creates a new ChessGame instance.
-   * References DOM elements for board, game state, current player, and status messages.
+   * Creates a new ChessGame instance, a computer opponent (off by default) and the chess clocks (untimed by default).
+   * Joins the online game in the page's link (?room=...), or else resumes the game that was in progress
+   * when the page was last closed, if there is one.
+   * References DOM elements for board, game state, current player, and status messages,
+   * and lets pieces be dragged on the board.
    * Initializes the board, sets up event listeners, and updates the display.
    */
   constructor() {
     this.game = new ChessGame();
     this.selectedSquare = null;
+    this.selectedMoves = []; // legal moves of the selected piece
+    this.computerColor = null; // "WHITE" or "BLACK" when playing against the computer
+    this.computerLevel = "medium";
+    this.computerPlayer = new ComputerPlayer(
+      (move, score) => this.playComputerMove(move, score),
+      (message) => this.showMessage(message, "error")
+    );
+    this.animating = false; // true while a move is being animated
+    this.animator = new BoardAnimator((chessNotation) => {
+      const coords = this.chessNotationToCoords(chessNotation);
+      return this.getSquareElement(coords.row, coords.col);
+    });
     this.boardElement = document.getElementById("chess-board");
     this.gameStateElement = document.getElementById("game-state");
     this.currentPlayerElement = document.getElementById("current-player");
+    this.rulesElement = document.getElementById("game-rules");
     this.statusMessageElement = document.getElementById("status-message");
+    this.moveListElement = document.getElementById("move-list");
+    this.announcerElement = document.getElementById("move-announcer");
+    this.focusedSquare = "a1"; // the square that the keyboard focus is on, or goes to when tabbing into the board
+    // dict for the names of pieces read to screen readers, by FEN letter
+    this.pieceNames = {
+      k: "king",
+      q: "queen",
+      r: "rook",
+      b: "bishop",
+      n: "knight",
+      p: "pawn",
+    };
+    this.dropping = false; // true while a dragged piece is being dropped
+    this.replayingMoves = false; // true while moves are replayed without animating them (redo, catching up online)
+    this.drawOffer = null; // the player whose draw offer is waiting for an answer, if any
+    this.online = null; // the OnlineConnection during an online game
+    this.onlineColor = null; // this player's color online, or null when watching
+    this.onlineQueue = []; // the opponent's actions waiting for the current animation to finish
+    this.applyingOnlineMove = false; // true while the opponent's move is being played
+    this.storage = new GameStorage();
+    this.gameId = this.createGameId(); // identifies the game in the saved games library
+    this.puzzleTrainer = new PuzzleTrainer(this.storage);
+    this.puzzleMode = false; // true while solving puzzles
+    this.puzzleDelay = 500; // ms a puzzle move stays on the board before the reply, or before a wrong move is taken back
+    this.replay = null; // the ChessGame stepping through a copy of the game, while the replay viewer is open
+    this.replayPlaying = false; // true while the replay moves on by itself
+    this.replayTimer = null; // the timeout for the next move the replay plays by itself
+    this.replaySpeed = 1000; // ms between moves when the replay plays by itself
+    this.clock = new ChessClock(
+      () => this.updateClocks(),
+      (player) => this.handleFlag(player)
+    );
+    // time controls: minutes per player, and increment and delay per move in seconds
+    this.timeControls = {
+      "1+0": { minutes: 1, increment: 0, delay: 0 },
+      "3+0": { minutes: 3, increment: 0, delay: 0 },
+      "3+2": { minutes: 3, increment: 2, delay: 0 },
+      "5+0": { minutes: 5, increment: 0, delay: 0 },
+      "5d3": { minutes: 5, increment: 0, delay: 3 },
+      "10+5": { minutes: 10, increment: 5, delay: 0 },
+    };
+    this.editor = null; // the ChessGame holding the position being set up, while the position editor is open
+    this.editorPiece = this.game.WP; // the piece the position editor places (0 clears squares)
+    this.orientation = "WHITE"; // the color shown at the bottom of the board
+    this.orientationMode = "fixed"; // "fixed", "side-to-move" or "my-color"
+    this.dragger = new PieceDragger(this.boardElement, {
+      canDrag: (square) => this.canDragFrom(square),
+      onDragStart: (square) => this.handleDragStart(square),
+      onDrop: (from, to) => this.handleDrop(from, to),
+      isAnimationEnabled: () => this.animator.enabled,
+    });
 
     this.initializeBoard();
     this.setupEventListeners();
+    this.resetClocks();
     this.updateDisplay();
+
+    const roomId = new URLSearchParams(location.search).get("room");
+    if (roomId) {
+      this.joinOnlineGame(roomId);
+    } else {
+      this.restoreCurrentGame();
+    }
   }
 
   /**
    * Initializes the chess board by creating and appending square elements to the board container.
    * Clears any existing squares before rendering a new grid.
-   * Each square is assigned its row, column, and chess notation as data attributes,
+   * Squares are created in display order, so the side in this.orientation is at the bottom;
+   * each square keeps its board row, column, and chess notation as data attributes whatever the orientation,
    * and is styled as either light or dark based on its position.
-   * Adds a click event listener to each square for handling user interactions.
+   * The squares form an ARIA grid, one row per rank; only the focused square is in the tab order.
+   * Adds click and keyboard listeners to each square for handling user interactions,
+   * and hover and focus listeners for previewing explosions. Also renders the coordinate labels.
+   * Keeps the keyboard focus on the board if it was there.
    */
   initializeBoard() {
+    this.animator.cancel(); // its squares are about to be replaced
+    const hadFocus = this.boardElement.contains(document.activeElement);
     this.boardElement.innerHTML = ""; // clear any existing squares
+    const flipped = this.orientation === "BLACK";
+
+    // create grid of squares, top left to bottom right as seen by the player
+    for (let displayRow = 0; displayRow < 8; displayRow++) {
+      const rank = document.createElement("div");
+      rank.className = "board-rank";
+      rank.setAttribute("role", "row");
+
+      for (let displayCol = 0; displayCol < 8; displayCol++) {
+        const row = flipped ? 7 - displayRow : displayRow;
+        const col = flipped ? 7 - displayCol : displayCol;
 
-    // create grid of squares
-    for (let row = 0; row < 8; row++) {
-      for (let col = 0; col < 8; col++) {
         const square = document.createElement("div");
         square.className = "square";
         square.dataset.row = row;
@@ -40,22 +138,259 @@ class ChessGUI {
         const isLight = (row + col) % 2 === 0;
         square.classList.add(isLight ? "light" : "dark");
 
-        square.addEventListener("click", (e) => this.handleSquareClick(e));
+        // keyboard play: only the focused square can be reached with Tab, the arrow keys move between squares
+        square.setAttribute("role", "gridcell");
+        square.setAttribute("aria-selected", "false");
+        square.tabIndex = square.dataset.square === this.focusedSquare ? 0 : -1;
 
-        this.boardElement.appendChild(square);
+        square.addEventListener("click", () => this.handleSquareClick(square));
+        square.addEventListener("keydown", (e) =>
+          this.handleSquareKeydown(e, square)
+        );
+        square.addEventListener("focus", () => {
+          this.setFocusedSquare(square.dataset.square);
+          this.showExplosionPreview(square.dataset.square);
+        });
+        square.addEventListener("blur", () => this.clearExplosionPreview());
+        square.addEventListener("mouseenter", () =>
+          this.showExplosionPreview(square.dataset.square)
+        );
+        square.addEventListener("mouseleave", () =>
+          this.clearExplosionPreview()
+        );
+
+        rank.appendChild(square);
       }
+      this.boardElement.appendChild(rank);
+    }
+
+    this.renderCoordinateLabels();
+
+    if (hadFocus) {
+      const coords = this.chessNotationToCoords(this.focusedSquare);
+      this.getSquareElement(coords.row, coords.col).focus();
+    }
+  }
+
+  /**
+   * Makes a square the one the keyboard focus is on, so it is the board's only square in the tab order.
+   *
+   * @param {string} chessNotation - The chess notation (like "e4") of the square.
+   */
+  setFocusedSquare(chessNotation) {
+    const previous = this.chessNotationToCoords(this.focusedSquare);
+    const previousElement = this.getSquareElement(previous.row, previous.col);
+    if (previousElement) previousElement.tabIndex = -1;
+
+    const coords = this.chessNotationToCoords(chessNotation);
+    this.getSquareElement(coords.row, coords.col).tabIndex = 0;
+    this.focusedSquare = chessNotation;
+  }
+
+  /**
+   * Handles keyboard play on a square: the arrow keys move the focus as seen on the screen,
+   * Home and End go to the first and last square of the rank, Enter and Space act like a click,
+   * and Escape puts the selected piece back.
+   *
+   * @param {KeyboardEvent} event - The keydown event.
+   * @param {HTMLElement} square - The square that has the focus.
+   */
+  handleSquareKeydown(event, square) {
+    // steps in rows and columns as seen on the screen
+    const steps = {
+      ArrowUp: [-1, 0],
+      ArrowDown: [1, 0],
+      ArrowLeft: [0, -1],
+      ArrowRight: [0, 1],
+      Home: [0, -7],
+      End: [0, 7],
+    };
+
+    if (steps[event.key]) {
+      event.preventDefault();
+      this.moveFocus(...steps[event.key]);
+    } else if (event.key === "Enter" || event.key === " ") {
+      event.preventDefault();
+      this.handleSquareClick(square);
+    } else if (event.key === "Escape") {
+      this.clearSelection();
+    }
+  }
+
+  /**
+   * Moves the keyboard focus from the focused square, stopping at the edge of the board.
+   *
+   * @param {number} rowStep - Rows to move down the screen (negative to move up).
+   * @param {number} colStep - Columns to move right on the screen (negative to move left).
+   */
+  moveFocus(rowStep, colStep) {
+    const direction = this.orientation === "BLACK" ? -1 : 1; // a flipped board runs the other way
+    const coords = this.chessNotationToCoords(this.focusedSquare);
+    const row = Math.min(7, Math.max(0, coords.row + rowStep * direction));
+    const col = Math.min(7, Math.max(0, coords.col + colStep * direction));
+    this.getSquareElement(row, col).focus();
+  }
+
+  /**
+   * Renders the file letters above and below the board and the rank numbers on both sides of it,
+   * in the order matching the board's orientation.
+   */
+  renderCoordinateLabels() {
+    const files = ["a", "b", "c", "d", "e", "f", "g", "h"];
+    const ranks = ["8", "7", "6", "5", "4", "3", "2", "1"];
+    if (this.orientation === "BLACK") {
+      files.reverse();
+      ranks.reverse();
+    }
+
+    const createLabel = (text) => {
+      const label = document.createElement("div");
+      label.className = "label";
+      label.textContent = text;
+      return label;
+    };
+    const createCorner = () => {
+      const corner = document.createElement("div");
+      corner.className = "corner";
+      return corner;
+    };
+
+    document.querySelectorAll(".column-labels").forEach((container) => {
+      container.innerHTML = "";
+      container.appendChild(createCorner());
+      files.forEach((file) => container.appendChild(createLabel(file)));
+      container.appendChild(createCorner());
+    });
+
+    document.querySelectorAll(".row-labels").forEach((container) => {
+      container.innerHTML = "";
+      ranks.forEach((rank) => container.appendChild(createLabel(rank)));
+    });
+  }
+
+  /**
+   * Shows the board from the given side, re-rendering the squares and coordinate labels if it changes.
+   *
+   * @param {string} orientation - The color to show at the bottom of the board ("WHITE" or "BLACK").
+   */
+  setOrientation(orientation) {
+    if (orientation === this.orientation) return;
+
+    this.orientation = orientation;
+    this.initializeBoard();
+    this.updateBoard();
+
+    // highlight the selected piece again on the new squares
+    if (this.selectedSquare !== null) {
+      this.highlightSelectedSquare(this.selectedSquare);
+      this.highlightLegalMoves();
+    }
+  }
+
+  /**
+   * Turns the board around. Switches the orientation setting to "fixed",
+   * so the board stays the way the player turned it.
+   */
+  flipBoard() {
+    this.orientationMode = "fixed";
+    document.getElementById("orientation-select").value = "fixed";
+    this.setOrientation(this.orientation === "WHITE" ? "BLACK" : "WHITE");
+  }
+
+  /**
+   * Turns the board to follow the orientation setting:
+   * "side-to-move" shows the player to move at the bottom,
+   * "my-color" shows the human player's color at the bottom, against the computer or online
+   * (White when both players share this browser),
+   * and "fixed" leaves the board as it is.
+   */
+  updateOrientation() {
+    if (this.orientationMode === "side-to-move") {
+      this.setOrientation(this.game.currentPlayer);
+    } else if (this.orientationMode === "my-color") {
+      const player = this.getLocalPlayer();
+      const fixedColor = this.online !== null || this.computerColor !== null;
+      this.setOrientation(fixedColor && player !== null ? player : "WHITE");
     }
   }
 
   /**
    * Sets up event listeners for UI interactions.
    * Handles "New Game" button click to start a new game.
-   * Manages "Rules" modal open/close via button and overlay click.
+   * Handles "Offer Draw" and "Resign" button clicks.
+   * Handles "Undo"/"Redo" button clicks and their keyboard shortcuts
+   * (Ctrl+Z to undo, Ctrl+Y or Ctrl+Shift+Z to redo).
+   * Handles "Download PGN" and "Load PGN" button clicks.
+   * Handles the "Flip Board" button and the orientation setting.
+   * Handles the computer opponent's color and level selection, the time control, and the animation setting.
+   * Animates and announces each move the game reports with a "move" event, and flags the moves it refuses
+   * ("illegal-move" event).
+   * Handles moves typed below the board.
+   * Handles starting, sharing and leaving online games.
+   * Handles the position editor's buttons and the puzzle mode's buttons.
+   * Manages "Rules", "FEN" and "Saved Games" modal open/close via button and overlay click.
+   * Saves the game when the page is closed, so the clocks resume where they were.
    */
   setupEventListeners() {
-    // new game button
+    // new game button and modal
+    const newGameModal = document.getElementById("new-game-modal");
+
     document.getElementById("new-game-btn").addEventListener("click", () => {
-      this.newGame();
+      this.openNewGameDialog();
+    });
+
+    newGameModal.querySelector(".close").addEventListener("click", () => {
+      newGameModal.style.display = "none";
+    });
+
+    document
+      .getElementById("new-game-start-btn")
+      .addEventListener("click", () => this.startGameFromDialog());
+
+    // draw offer and resignation buttons
+    this.drawButton = document.getElementById("draw-btn");
+    this.resignButton = document.getElementById("resign-btn");
+    this.drawButton.addEventListener("click", () => this.handleDrawButton());
+    this.resignButton.addEventListener("click", () => this.resignGame());
+
+    // undo and redo buttons
+    this.undoButton = document.getElementById("undo-btn");
+    this.redoButton = document.getElementById("redo-btn");
+    this.undoButton.addEventListener("click", () => this.undoMove());
+    this.redoButton.addEventListener("click", () => this.redoMove());
+
+    // undo and redo keyboard shortcuts (Cmd instead of Ctrl on Mac)
+    document.addEventListener("keydown", (e) => {
+      if (!e.ctrlKey && !e.metaKey) return;
+      // leave text undo to the fields being typed in
+      const target = e.target;
+      if (
+        ["INPUT", "TEXTAREA", "SELECT"].includes(target.tagName) ||
+        target.isContentEditable
+      ) {
+        return;
+      }
+
+      const key = e.key.toLowerCase();
+      if (key === "z" && !e.shiftKey) {
+        e.preventDefault();
+        this.undoMove();
+      } else if (key === "y" || (key === "z" && e.shiftKey)) {
+        e.preventDefault();
+        this.redoMove();
+      }
+    });
+
+    // board orientation
+    const orientationSelect = document.getElementById("orientation-select");
+
+    document.getElementById("flip-btn").addEventListener("click", () => {
+      this.flipBoard();
+    });
+
+    orientationSelect.addEventListener("change", () => {
+      this.orientationMode = orientationSelect.value;
+      this.updateOrientation();
     });
 
     // rules button and modal
@@ -71,12 +406,229 @@ class ChessGUI {
       modal.style.display = "none";
     });
 
+    // computer opponent settings
+    const computerSelect = document.getElementById("computer-select");
+    const levelSelect = document.getElementById("level-select");
+
+    computerSelect.addEventListener("change", () => {
+      if (this.online !== null) {
+        computerSelect.value = "none";
+        this.showMessage("The computer can't play in online games.", "info");
+        return;
+      }
+      this.computerColor =
+        computerSelect.value === "none" ? null : computerSelect.value;
+      this.computerPlayer.cancel();
+      this.updateOrientation();
+      this.saveGame();
+      this.requestComputerMove();
+    });
+
+    levelSelect.addEventListener("change", () => {
+      this.computerLevel = levelSelect.value;
+      this.saveGame();
+    });
+
+    // time control, used from the next game once moves have been made
+    const timeControlSelect = document.getElementById("time-control-select");
+    const customTimeControl = document.getElementById("custom-time-control");
+
+    customTimeControl.hidden = timeControlSelect.value !== "custom";
+    timeControlSelect.addEventListener("change", () => {
+      customTimeControl.hidden = timeControlSelect.value !== "custom";
+      this.handleTimeControlChange();
+    });
+    customTimeControl.addEventListener("change", () => {
+      this.handleTimeControlChange();
+    });
+
+    // animations, on unless the player prefers reduced motion
+    const animationsToggle = document.getElementById("animations-toggle");
+    animationsToggle.checked = this.animator.enabled;
+    animationsToggle.addEventListener("change", () => {
+      this.animator.enabled = animationsToggle.checked;
+    });
+
+    this.game.on("move", (e) => {
+      if (this.replayingMoves) return;
+      this.announce(this.describeMove(e));
+      this.handleMoveMade(e.move);
+    });
+    this.game.on("illegal-move", (e) => {
+      if (!this.replayingMoves) this.handleIllegalMove(e);
+    });
+
+    // typed moves
+    const moveInput = document.getElementById("move-input");
+    document.getElementById("move-form").addEventListener("submit", (e) => {
+      e.preventDefault();
+      if (this.handleTypedMove(moveInput.value)) moveInput.value = "";
+    });
+
+    // position editor
+    document.getElementById("edit-btn").addEventListener("click", () => {
+      this.openEditor();
+    });
+    document
+      .getElementById("editor-start-btn")
+      .addEventListener("click", () => this.resetEditor(false));
+    document
+      .getElementById("editor-clear-btn")
+      .addEventListener("click", () => this.resetEditor(true));
+    document
+      .getElementById("editor-play-btn")
+      .addEventListener("click", () => this.playFromEditor());
+    document
+      .getElementById("editor-cancel-btn")
+      .addEventListener("click", () => this.cancelEditor());
+
+    // puzzles
+    document.getElementById("puzzles-btn").addEventListener("click", () => {
+      this.startPuzzles();
+    });
+    document
+      .getElementById("puzzle-retry-btn")
+      .addEventListener("click", () =>
+        this.loadPuzzle(this.puzzleTrainer.index)
+      );
+    document
+      .getElementById("puzzle-next-btn")
+      .addEventListener("click", () =>
+        this.loadPuzzle(this.puzzleTrainer.getNextIndex())
+      );
+    document
+      .getElementById("puzzle-exit-btn")
+      .addEventListener("click", () => this.exitPuzzles());
+
+    // replay viewer
+    const replaySlider = document.getElementById("replay-slider");
+    const replaySpeedSelect = document.getElementById("replay-speed-select");
+
+    document
+      .getElementById("replay-btn")
+      .addEventListener("click", () => this.openReplay());
+    document
+      .getElementById("replay-first-btn")
+      .addEventListener("click", () => this.seekReplay(0));
+    document
+      .getElementById("replay-back-btn")
+      .addEventListener("click", () =>
+        this.seekReplay(this.replay.moveHistory.length - 1)
+      );
+    document
+      .getElementById("replay-play-btn")
+      .addEventListener("click", () => this.toggleReplayPlaying());
+    document
+      .getElementById("replay-forward-btn")
+      .addEventListener("click", () => this.replayNextMove());
+    document
+      .getElementById("replay-last-btn")
+      .addEventListener("click", () => this.seekReplay(this.getReplayLength()));
+    document
+      .getElementById("replay-exit-btn")
+      .addEventListener("click", () => this.closeReplay());
+    replaySlider.addEventListener("input", () => {
+      this.seekReplay(Number(replaySlider.value));
+    });
+    replaySpeedSelect.addEventListener("change", () => {
+      this.replaySpeed = Number(replaySpeedSelect.value);
+    });
+
+    // PGN download and upload
+    const pgnFileInput = document.getElementById("pgn-file-input");
+
+    document
+      .getElementById("download-pgn-btn")
+      .addEventListener("click", () => {
+        this.downloadPGN();
+      });
+
+    document.getElementById("load-pgn-btn").addEventListener("click", () => {
+      pgnFileInput.click(); // open the file picker
+    });
+
+    pgnFileInput.addEventListener("change", () => {
+      const file = pgnFileInput.files[0];
+      pgnFileInput.value = ""; // allow loading the same file again
+      if (file) this.loadPGNFile(file);
+    });
+
+    // FEN button and modal
+    const fenModal = document.getElementById("fen-modal");
+
+    document.getElementById("fen-btn").addEventListener("click", () => {
+      this.openFenDialog();
+    });
+
+    fenModal.querySelector(".close").addEventListener("click", () => {
+      fenModal.style.display = "none";
+    });
+
+    document.getElementById("fen-load-btn").addEventListener("click", () => {
+      this.loadFenFromDialog();
+    });
+
+    document.getElementById("fen-copy-btn").addEventListener("click", () => {
+      this.copyFen();
+    });
+
+    // promotion modal: closing it cancels the move
+    const promotionModal = document.getElementById("promotion-modal");
+    promotionModal.querySelector(".close").addEventListener("click", () => {
+      this.hidePromotionPicker();
+    });
+
+    // online games
+    document.getElementById("online-btn").addEventListener("click", () => {
+      this.startOnlineGame();
+    });
+
+    document.getElementById("online-copy-btn").addEventListener("click", () => {
+      this.copyOnlineLink();
+    });
+
+    document
+      .getElementById("online-leave-btn")
+      .addEventListener("click", () => {
+        this.newGame(); // leaves the online game
+      });
+
+    // saved games modal
+    const gamesModal = document.getElementById("games-modal");
+
+    document.getElementById("games-btn").addEventListener("click", () => {
+      this.openSavedGamesDialog();
+    });
+
+    gamesModal.querySelector(".close").addEventListener("click", () => {
+      gamesModal.style.display = "none";
+    });
+
+    document.getElementById("save-game-btn").addEventListener("click", () => {
+      this.storage.saveGame(this.createGameRecord());
+      this.renderSavedGames();
+    });
+
+    window.addEventListener("pagehide", () => this.saveGame());
+
     // click event listener on entire browser
     // allows closing modal when clicking outside of it
     window.addEventListener("click", (e) => {
       if (e.target === modal) {
         modal.style.display = "none";
       }
+      if (e.target === newGameModal) {
+        newGameModal.style.display = "none";
+      }
+      if (e.target === fenModal) {
+        fenModal.style.display = "none";
+      }
+      if (e.target === gamesModal) {
+        gamesModal.style.display = "none";
+      }
+      if (e.target === promotionModal) {
+        this.hidePromotionPicker();
+      }
     });
   }
 
@@ -104,27 +656,55 @@ class ChessGUI {
   }
 
   /**
-   * Handles the click event on a chessboard square.
+   * Determines if the player may move now. If the game is finished, or it is the computer's
+   * or the online opponent's turn, tells the player why not. Moves also wait for the animation to finish.
+   *
+   * @returns {boolean} True if the player can move, false otherwise.
+   */
+  canPlayerMove() {
+    if (this.game.gameState !== "UNFINISHED") {
+      this.showMessage(
+        `Game is finished! ${this.getGameResultText()} Press Replay to step through it.`,
+        "info"
+      );
+      return false;
+    }
+
+    if (this.isComputerTurn()) {
+      this.showMessage("Please wait for the computer to move.", "info");
+      return false;
+    }
+
+    if (this.isOnlineWaiting()) {
+      this.showMessage(this.getOnlineWaitingMessage(), "info");
+      return false;
+    }
+
+    return !this.animating;
+  }
+
+  /**
+   * Handles a click on a chessboard square, or Enter or Space pressed on it.
+   * While the position editor is open, places the palette's piece on the square.
    * If the game is finished, displays the winner and prevents further actions.
    * If no square is selected, selects the clicked square.
    * If the same square is clicked again, deselects it.
    * If a different square is clicked, attempts to make a move from the selected square to the clicked square.
    *
-   * @param {MouseEvent} event - The click event triggered by the user on a chessboard square.
+   * @param {HTMLElement} square - The square that was clicked.
    */
-  handleSquareClick(event) {
-    const square = event.target;
+  handleSquareClick(square) {
     const row = parseInt(square.dataset.row);
     const col = parseInt(square.dataset.col);
     const chessNotation = square.dataset.square;
 
-    if (this.game.gameState !== "UNFINISHED") {
-      this.showMessage(
-        `Game is finished! Winner: ${this.game.gameState}`,
-        "info"
-      );
+    if (this.editor !== null) {
+      this.editSquare(row, col);
       return;
     }
+    if (this.replay !== null) return; // the replay is only watched
+
+    if (!this.canPlayerMove()) return;
 
     // first click, select a piece
     if (this.selectedSquare === null) {
@@ -146,7 +726,7 @@ class ChessGUI {
   /**
    * Handles the selection of a square on the chess board.
    * Validates the selected piece, ensures it belongs to the current player,
-   * and highlights the selected square.
+   * and highlights the selected square along with every legal destination.
    *
    * @param {number} row - The row index of the selected square.
    * @param {number} col - The column index of the selected square.
@@ -166,167 +746,2167 @@ class ChessGUI {
     }
 
     this.selectedSquare = chessNotation;
+    this.selectedMoves = this.game.getLegalMovesForSquare(chessNotation);
     this.highlightSelectedSquare(chessNotation);
+    this.highlightLegalMoves();
+
+    if (this.selectedMoves.length === 0) {
+      this.showMessage("This piece has no legal moves.", "info");
+    }
   }
 
   /**
    * Attempts to make a move from one square to another on the chess board and updates the UI.
-   * If the move ends the game, displays a game over message.
+   * If a pawn reaches the last rank and no promotion piece was given, asks the player to choose one first.
+   * The game reports the outcome with an event: a move that is played is animated by handleMoveMade,
+   * and a refused move is flagged by handleIllegalMove.
    *
    * @param {string} currentSquare - The starting square of the move.
    * @param {string} destSquare - The destination square of the move.
+   * @param {string} [promotion] - The piece a pawn promotes to ("q", "r", "b" or "n").
+   * @returns {boolean} True if the move was made or is waiting for a promotion piece, false if it was refused.
    */
-  attemptMove(currentSquare, destSquare) {
-    const result = this.game.makeMove(currentSquare, destSquare);
-
-    if (result.success) {
-      this.clearSelection();
-      this.updateDisplay();
-
-      // check for game end
-      if (this.game.gameState !== "UNFINISHED") {
-        setTimeout(() => {
-          this.showMessage(
-            `GAME OVER! WINNER: ${this.game.gameState}`,
-            "success"
-          );
-        }, 3000);
-      }
-    } else {
-      this.showMessage(result.message, "error");
-      this.clearSelection();
+  attemptMove(currentSquare, destSquare, promotion) {
+    if (
+      promotion === undefined &&
+      this.isPromotionMove(currentSquare, destSquare)
+    ) {
+      this.showPromotionPicker(currentSquare, destSquare);
+      return true;
     }
+
+    this.clearSelection();
+    return this.game.makeMove(currentSquare, destSquare, promotion).success;
   }
 
   /**
-   * Clears previous highlights and highlights the square specified by chess notation.
+   * Plays a move typed in coordinate notation or SAN. A pawn move to the last rank without a promotion piece
+   * asks for one, as on the board.
    *
-   * @param {string} chessNotation - The chess notation of the square to highlight.
+   * @param {string} text - The typed move ("e2e4", "e7e8q", "Nf3", "O-O").
+   * @returns {boolean} True if the move was made or is waiting for a promotion piece, false otherwise.
    */
-  highlightSelectedSquare(chessNotation) {
-    this.clearHighlights();
+  handleTypedMove(text) {
+    if (text.trim() === "" || !this.canPlayerMove()) return false;
 
-    // highlight selected square
-    const coords = this.chessNotationToCoords(chessNotation);
-    const squareElement = this.getSquareElement(coords.row, coords.col);
-    if (squareElement) {
-      squareElement.classList.add("selected");
+    const move = this.game.parseMove(text);
+    if (move === null) {
+      this.showMessage(
+        `${text.trim()}: ${this.game.moveErrorMessages.UNRECOGNIZED_MOVE}`,
+        "error"
+      );
+      return false;
     }
+    return this.attemptMove(move.from, move.to, move.promotion || undefined);
   }
 
   /**
-   * Clears the currently selected square and any highlighted squares.
+   * Explains why a move was refused, and flags the destination square.
+   *
+   * @param {{to: string, message: string}} event - The game's "illegal-move" event.
    */
-  clearSelection() {
-    this.selectedSquare = null;
-    this.clearHighlights();
+  handleIllegalMove(event) {
+    this.showMessage(event.message, "error");
+    this.clearSelection();
+
+    const coords = this.chessNotationToCoords(event.to);
+    const squareElement = this.getSquareElement(coords.row, coords.col);
+    if (squareElement) {
+      squareElement.classList.add("invalid-move");
+    }
   }
 
   /**
-   * Removes all highlight classes ("selected", "valid-move", "invalid-move") from every square on the board.
-   * This clears any visual indicators of selection.
+   * Determines if the piece on a square may be picked up and dragged:
+   * it must belong to the player to move, in a game that is still going, on the human's turn
+   * (online, on this player's turn).
+   *
+   * @param {string} chessNotation - The chess notation (like "e4") of the square.
+   * @returns {boolean} True if the piece can be dragged, false otherwise.
    */
-  clearHighlights() {
-    const squares = this.boardElement.querySelectorAll(".square");
+  canDragFrom(chessNotation) {
+    if (this.editor !== null || this.replay !== null) return false;
+    if (this.game.gameState !== "UNFINISHED") return false;
+    if (this.isComputerTurn() || this.isOnlineWaiting() || this.animating) {
+      return false;
+    }
 
-    // iterate over all squares and remove highlights
-    squares.forEach((square) => {
-      square.classList.remove("selected", "valid-move", "invalid-move");
-    });
+    const coords = this.chessNotationToCoords(chessNotation);
+    const piece = this.game.getPieceAt(coords.row, coords.col);
+    return piece !== 0 && this.game.isValidPlayer(piece);
   }
 
   /**
-   * Returns the DOM element representing the chessboard square at the specified row and column.
-   * Used for accessing and manipulating specific squares in the UI to sync with the game state.
+   * Selects the dragged piece, so its legal destinations are highlighted while it is dragged.
    *
-   * @param {number} row - The row index of the square.
-   * @param {number} col - The column index of the square.
-   * @returns {Element|null} The DOM element for the specified square, or null if not found.
+   * @param {string} chessNotation - The chess notation (like "e4") of the square the piece was picked up from.
    */
-  getSquareElement(row, col) {
-    return this.boardElement.querySelector(
-      `[data-row="${row}"][data-col="${col}"]`
-    );
+  handleDragStart(chessNotation) {
+    const coords = this.chessNotationToCoords(chessNotation);
+    this.clearSelection();
+    this.selectSquare(coords.row, coords.col, chessNotation);
   }
 
   /**
-   * Updates the chess board and game information display.
+   * Attempts the move of a dragged piece dropped on another square.
+   * The piece is already on its new square, so the move is not slid there again.
+   *
+   * @param {string} currentSquare - The square the piece was picked up from.
+   * @param {string} destSquare - The square the piece was dropped on.
+   * @returns {boolean} True if the move was accepted, false if the piece should snap back.
    */
-  updateDisplay() {
-    this.updateBoard();
-    this.updateGameInfo();
+  handleDrop(currentSquare, destSquare) {
+    this.dropping = true;
+    const accepted = this.attemptMove(currentSquare, destSquare);
+    this.dropping = false;
+    return accepted;
   }
 
   /**
-   * Updates the visual representation of the chess board by iterating over each square,
-   * retrieving the piece at each position, and setting the corresponding HTML element's
-   * content to display the piece symbol.
+   * Switches the clocks to the next player, lets the move decline a pending draw offer,
+   * sends the player's own moves to the opponent in online games (taking them back if they can't be sent),
+   * animates a move that was just made and updates the display.
+   * A dropped piece is already on its new square, so only its explosion is played.
+   * Once the animation has finished, announces check or the end of the game and lets the computer reply,
+   * or in puzzle mode checks the move against the solution.
+   *
+   * @param {Object} move - The move that was made (see ChessGame.createMove).
    */
-  updateBoard() {
-    for (let row = 0; row < 8; row++) {
-      for (let col = 0; col < 8; col++) {
-        const piece = this.game.getPieceAt(row, col);
-        const symbol = this.game.pieceSymbols[piece] || ""; // get piece symbol or empty string if no piece
-        const squareElement = this.getSquareElement(row, col);
-
-        if (squareElement) {
-          squareElement.innerHTML = `<span class="piece">${symbol}</span>`;
-        }
+  handleMoveMade(move) {
+    // online, the move only counts once the server has it; if the connection just dropped, take it back
+    if (this.online !== null && !this.applyingOnlineMove) {
+      const sent = this.online.sendMove(
+        this.getMoveNotation(move),
+        this.game.moveHistory.length - 1
+      );
+      if (!sent) {
+        // once makeMove has finished with the move
+        queueMicrotask(() => {
+          this.game.undo();
+          this.updateDisplay();
+          this.updateOnlinePanel();
+          this.showMessage(
+            "The move could not be sent because the connection was lost. Play it again once reconnected.",
+            "error"
+          );
+        });
+        return;
       }
     }
-  }
-
-  /**
-   * Updates the game state and current player.
-   */
-  updateGameInfo() {
-    this.gameStateElement.textContent = this.game.gameState;
-    this.currentPlayerElement.textContent = this.game.currentPlayer;
 
-    // update colors based on game state
-    if (this.game.gameState !== "UNFINISHED") {
-      this.gameStateElement.style.color = "#e74c3c";
-    } else {
-      this.gameStateElement.style.color = "#2ecc71";
+    // moving instead of accepting declines the opponent's draw offer
+    const mover = this.game.getPieceOwner(move.piece);
+    if (this.drawOffer !== null && this.drawOffer !== mover) {
+      this.drawOffer = null;
     }
 
-    // update current player color
-    if (this.game.currentPlayer === "WHITE") {
-      this.currentPlayerElement.style.color = "#ffffffff";
+    // press the clock right away, the animation doesn't count against the next player
+    if (this.game.gameState === "UNFINISHED") {
+      this.clock.switchTurn(this.game.currentPlayer);
     } else {
-      this.currentPlayerElement.style.color = "#000000ff";
+      this.clock.stop();
     }
-  }
+    this.updateClocks();
+    this.saveGame();
 
-  /**
-   * Displays a status message in the UI with a specified type.
-   *
-   * @param {string} message - The message to display.
-   * @param {string} [type="info"] - The type of message ("info" (default), "error", "success", etc).
-   */
+    this.animating = true;
+
+    this.animator.animateMove(
+      move,
+      () => this.updateDisplay(),
+      () => {
+        this.animating = false;
+
+        // check for game end
+        if (this.game.gameState !== "UNFINISHED") {
+          this.showMessage(
+            `GAME OVER! ${this.getGameResultText().toUpperCase()}`,
+            "success"
+          );
+        } else if (this.game.isInCheck()) {
+          this.showMessage(`${this.game.currentPlayer} is in check!`, "info");
+        }
+
+        this.checkPuzzleMove(move);
+        this.requestComputerMove();
+        this.processOnlineQueue();
+      },
+      !this.dropping
+    );
+  }
+
+  /**
+   * Determines if a move is a legal pawn move to the last rank, which requires choosing a promotion piece.
+   *
+   * @param {string} currentSquare - The starting square of the move.
+   * @param {string} destSquare - The destination square of the move.
+   * @returns {boolean} True if the move is a promotion, false otherwise.
+   */
+  isPromotionMove(currentSquare, destSquare) {
+    return this.game
+      .getLegalMovesForSquare(currentSquare)
+      .some((move) => move.to === destSquare && move.promotion);
+  }
+
+  /**
+   * Shows the promotion modal with a button for each piece the pawn can promote to.
+   * Choosing a piece completes the move.
+   *
+   * @param {string} currentSquare - The starting square of the pawn.
+   * @param {string} destSquare - The square on the last rank the pawn moves to.
+   */
+  showPromotionPicker(currentSquare, destSquare) {
+    const modal = document.getElementById("promotion-modal");
+    const choices = modal.querySelector(".promotion-choices");
+    choices.innerHTML = ""; // clear choices from the previous promotion
+
+    ["q", "r", "b", "n"].forEach((letter) => {
+      const piece = this.game.getPromotionPiece(
+        letter,
+        this.game.currentPlayer
+      );
+      const button = document.createElement("button");
+      button.className = "promotion-choice";
+      button.textContent = this.game.pieceSymbols[piece];
+      button.setAttribute(
+        "aria-label",
+        `Promote to ${this.pieceNames[letter]}`
+      );
+      button.addEventListener("click", () => {
+        modal.style.display = "none";
+        this.attemptMove(currentSquare, destSquare, letter);
+      });
+      choices.appendChild(button);
+    });
+
+    modal.style.display = "block";
+  }
+
+  /**
+   * Hides the promotion modal and cancels the pending promotion move.
+   */
+  hidePromotionPicker() {
+    document.getElementById("promotion-modal").style.display = "none";
+    this.clearSelection();
+  }
+
+  /**
+   * Clears previous highlights and highlights the square specified by chess notation.
+   *
+   * @param {string} chessNotation - The chess notation of the square to highlight.
+   */
+  highlightSelectedSquare(chessNotation) {
+    this.clearHighlights();
+
+    // highlight selected square
+    const coords = this.chessNotationToCoords(chessNotation);
+    const squareElement = this.getSquareElement(coords.row, coords.col);
+    if (squareElement) {
+      squareElement.classList.add("selected");
+      squareElement.setAttribute("aria-selected", "true");
+    }
+  }
+
+  /**
+   * Highlights the destination square of every legal move of the selected piece
+   * (the rook's square for castling in Atomic960, where the king castles by moving onto its rook).
+   */
+  highlightLegalMoves() {
+    this.selectedMoves.forEach((move) => {
+      const coords = this.chessNotationToCoords(this.game.getMoveTarget(move));
+      const squareElement = this.getSquareElement(coords.row, coords.col);
+      if (squareElement) {
+        squareElement.classList.add("valid-move");
+      }
+    });
+    this.updateSquareLabels();
+  }
+
+  /**
+   * Previews the explosion of capturing on the hovered square with the selected piece:
+   * marks the blast radius, every piece that would be destroyed, and every pawn that would survive.
+   * Uses the same explosion details that makeMove applies.
+   *
+   * @param {string} chessNotation - The chess notation of the hovered square.
+   */
+  showExplosionPreview(chessNotation) {
+    this.clearExplosionPreview();
+
+    const move = this.selectedMoves.find(
+      (selectedMove) => selectedMove.to === chessNotation
+    );
+    if (!move || !move.isCapture) return;
+
+    const markSquare = (square, className) => {
+      const coords = this.chessNotationToCoords(square);
+      const squareElement = this.getSquareElement(coords.row, coords.col);
+      if (squareElement) {
+        squareElement.classList.add(className);
+      }
+    };
+
+    move.explosionSquares.forEach((square) =>
+      markSquare(square, "blast-radius")
+    );
+    move.explodedPieces.forEach((exploded) =>
+      markSquare(exploded.square, "blast-destroyed")
+    );
+    move.survivingPawns.forEach((pawn) =>
+      markSquare(pawn.square, "blast-survivor")
+    );
+  }
+
+  /**
+   * Removes the explosion preview from every square on the board.
+   */
+  clearExplosionPreview() {
+    const squares = this.boardElement.querySelectorAll(".square");
+    squares.forEach((square) => {
+      square.classList.remove(
+        "blast-radius",
+        "blast-destroyed",
+        "blast-survivor"
+      );
+    });
+  }
+
+  /**
+   * Clears the currently selected square and any highlighted squares.
+   */
+  clearSelection() {
+    this.selectedSquare = null;
+    this.selectedMoves = [];
+    this.clearHighlights();
+  }
+
+  /**
+   * Removes all highlight classes ("selected", "valid-move", "invalid-move") and the explosion preview
+   * from every square on the board.
+   * This clears any visual indicators of selection, and what screen readers say about it.
+   */
+  clearHighlights() {
+    const squares = this.boardElement.querySelectorAll(".square");
+
+    // iterate over all squares and remove highlights
+    squares.forEach((square) => {
+      square.classList.remove("selected", "valid-move", "invalid-move");
+      square.setAttribute("aria-selected", "false");
+    });
+    this.clearExplosionPreview();
+    this.updateSquareLabels();
+  }
+
+  /**
+   * Returns a piece's name as read to screen readers.
+   *
+   * @param {number} piece - The piece.
+   * @returns {string} The piece's color and type ("white knight").
+   */
+  getPieceName(piece) {
+    const color = this.game.getPieceOwner(piece).toLowerCase();
+    const letter = this.game.pieceLetters[piece].toLowerCase();
+    return `${color} ${this.pieceNames[letter]}`;
+  }
+
+  /**
+   * Gives every square its name for screen readers: the square and its piece ("e4, white knight", "e5, empty"),
+   * and whether the selected piece can move or capture there.
+   */
+  updateSquareLabels() {
+    this.boardElement.querySelectorAll(".square").forEach((square) => {
+      const piece = this.getBoardPiece(
+        parseInt(square.dataset.row),
+        parseInt(square.dataset.col)
+      );
+      let label = `${square.dataset.square}, ${
+        piece === 0 ? "empty" : this.getPieceName(piece)
+      }`;
+
+      const move = this.selectedMoves.find(
+        (selectedMove) =>
+          this.game.getMoveTarget(selectedMove) === square.dataset.square
+      );
+      if (move) label += move.isCapture ? ", capture" : ", possible move";
+
+      square.setAttribute("aria-label", label);
+    });
+  }
+
+  /**
+   * Reads a message to screen readers, through the page's live region.
+   *
+   * @param {string} message - The message to read.
+   */
+  announce(message) {
+    this.announcerElement.textContent = message;
+  }
+
+  /**
+   * Describes a move for screen readers: who moved which piece where, castling, en passant and promotion,
+   * and the pieces its explosion destroyed. Check and the end of the game are read from the status message.
+   *
+   * @param {{move: Object, player: string}} event - The game's "move" event.
+   * @returns {string} The description ("White knight g1 to f3.").
+   */
+  describeMove(event) {
+    const move = event.move;
+    const player = event.player === "WHITE" ? "White" : "Black";
+    let description;
+
+    if (move.castling) {
+      const side = move.castling === "kingSide" ? "kingside" : "queenside";
+      description = `${player} castles ${side}.`;
+    } else {
+      const piece =
+        this.pieceNames[this.game.pieceLetters[move.piece].toLowerCase()];
+      const action = move.isCapture ? "captures on" : "to";
+      description = `${player} ${piece} ${move.from} ${action} ${move.to}`;
+      if (move.isEnPassant) description += " en passant";
+      if (move.promotion && !move.isCapture) {
+        description += `, promotes to ${this.pieceNames[move.promotion]}`;
+      }
+      description += ".";
+    }
+
+    if (move.isCapture) {
+      const destroyed = move.explodedPieces.map(
+        (exploded) =>
+          `${this.getPieceName(exploded.piece)} on ${exploded.square}`
+      );
+      description += ` Explosion destroys ${destroyed.join(", ")}.`;
+    }
+    return description;
+  }
+
+  /**
+   * Returns the DOM element representing the chessboard square at the specified row and column.
+   * Used for accessing and manipulating specific squares in the UI to sync with the game state.
+   *
+   * @param {number} row - The row index of the square.
+   * @param {number} col - The column index of the square.
+   * @returns {Element|null} The DOM element for the specified square, or null if not found.
+   */
+  getSquareElement(row, col) {
+    return this.boardElement.querySelector(
+      `[data-row="${row}"][data-col="${col}"]`
+    );
+  }
+
+  /**
+   * Turns the board to follow the orientation setting, then updates the chess board,
+   * game information display, move list, and control buttons.
+   */
+  updateDisplay() {
+    this.updateOrientation();
+    this.updateBoard();
+    this.updateGameInfo();
+    this.updateMoveList();
+    this.updateControls();
+  }
+
+  /**
+   * Lists the moves played so far in Standard Algebraic Notation, one numbered line per move pair,
+   * and scrolls to the latest move.
+   */
+  updateMoveList() {
+    this.moveListElement.innerHTML = ""; // clear previous moves
+
+    const history = this.game.moveHistory;
+    if (history.length === 0) return;
+
+    // games loaded from a position may not start at move 1
+    this.moveListElement.start = history[0].previousState.fullmoveNumber;
+
+    let item = null;
+    history.forEach((entry, index) => {
+      // white starts a new line; black only does if it made the first move
+      if (entry.player === "WHITE" || item === null) {
+        item = document.createElement("li");
+        this.moveListElement.appendChild(item);
+
+        if (entry.player === "BLACK") {
+          const placeholder = document.createElement("span");
+          placeholder.className = "move-san";
+          placeholder.textContent = "...";
+          item.appendChild(placeholder);
+        }
+      }
+
+      const san = document.createElement("span");
+      san.className = "move-san";
+      san.dataset.ply = index + 1; // the number of moves played after it, for the replay viewer
+      san.textContent = entry.san;
+      item.appendChild(san);
+    });
+
+    this.moveListElement.scrollTop = this.moveListElement.scrollHeight;
+  }
+
+  /**
+   * Enables the "Undo" and "Redo" buttons only when there is a move to undo or redo (never in timed or online games).
+   * Offers to accept a pending draw offer, and disables drawing and resigning once the game is over.
+   */
+  updateControls() {
+    const fixed = this.clock.isTimed() || this.online !== null; // no takebacks
+    this.undoButton.disabled = fixed || this.game.moveHistory.length === 0;
+    this.redoButton.disabled = fixed || this.game.redoStack.length === 0;
+
+    // a player can accept a draw offered by the opponent
+    const player = this.getLocalPlayer();
+    const finished = this.game.gameState !== "UNFINISHED";
+    const canAcceptDraw = this.drawOffer !== null && this.drawOffer !== player;
+    this.drawButton.textContent = canAcceptDraw ? "Accept Draw" : "Offer Draw";
+    this.drawButton.disabled = finished || player === null;
+    this.resignButton.disabled = finished || player === null;
+  }
+
+  /**
+   * Shows each player's remaining time, highlighting the running clock and clocks that are low on time.
+   * The clocks are hidden in untimed games.
+   */
+  updateClocks() {
+    const timed = this.clock.isTimed();
+
+    ["WHITE", "BLACK"].forEach((player) => {
+      const prefix = player.toLowerCase();
+      const item = document.getElementById(`${prefix}-clock-item`);
+      const remaining = this.clock.getRemaining(player);
+
+      item.hidden = !timed;
+      item.classList.toggle("active", this.clock.runningPlayer === player);
+      item.classList.toggle("low-time", timed && remaining < 20000);
+      document.getElementById(`${prefix}-clock`).textContent =
+        this.clock.formatTime(remaining);
+    });
+  }
+
+  /**
+   * Reads the time control chosen in the settings.
+   *
+   * @returns {(Object|null)} {minutes, increment, delay} (see ChessClock.setTimeControl), or null for untimed games.
+   */
+  getSelectedTimeControl() {
+    const value = document.getElementById("time-control-select").value;
+    if (value === "none") return null;
+    if (value !== "custom") return this.timeControls[value];
+
+    const readNumber = (id, fallback) => {
+      const number = parseFloat(document.getElementById(id).value);
+      return Number.isFinite(number) && number >= 0 ? number : fallback;
+    };
+    return {
+      minutes: readNumber("custom-minutes", 5) || 5,
+      increment: readNumber("custom-increment", 0),
+      delay: readNumber("custom-delay", 0),
+    };
+  }
+
+  /**
+   * Resets both clocks to the chosen time control. They start with the first move.
+   */
+  resetClocks() {
+    this.clock.setTimeControl(this.getSelectedTimeControl());
+    this.updateClocks();
+    this.updateControls();
+  }
+
+  /**
+   * Applies a new time control right away if the game hasn't started, otherwise from the next game.
+   */
+  handleTimeControlChange() {
+    if (this.online !== null) {
+      this.showMessage("Online games are untimed.", "info");
+      return;
+    }
+    if (
+      this.game.moveHistory.length === 0 &&
+      this.game.gameState === "UNFINISHED"
+    ) {
+      this.resetClocks();
+    } else {
+      this.showMessage(
+        "The new time control will be used from the next game.",
+        "info"
+      );
+    }
+  }
+
+  /**
+   * Ends the game when a player runs out of time.
+   *
+   * @param {string} player - The player whose time ran out, "WHITE" or "BLACK".
+   */
+  handleFlag(player) {
+    if (this.game.loseOnTime(player)) this.handleGameEnded();
+  }
+
+  /**
+   * Offers a draw for the player to move, or accepts the opponent's offer.
+   * An offer stays open until the opponent accepts it or makes a move. Online, offers are sent to the opponent.
+   * The computer answers an offer with its next move, and accepts if it doesn't think it is winning.
+   */
+  handleDrawButton() {
+    const player = this.getLocalPlayer();
+    if (player === null) return; // watching an online game
+
+    if (this.drawOffer !== null && this.drawOffer !== player) {
+      if (this.game.agreeDraw()) {
+        if (this.online !== null) this.online.send({ type: "draw-accept" });
+        this.handleGameEnded();
+      }
+      return;
+    }
+
+    if (this.isComputerTurn()) {
+      this.showMessage("Please wait for the computer to move.", "info");
+      return;
+    }
+
+    if (this.isOnlineWaiting()) {
+      this.showMessage(this.getOnlineWaitingMessage(), "info");
+      return;
+    }
+
+    if (this.drawOffer === player) {
+      this.showMessage("You have already offered a draw.", "info");
+      return;
+    }
+
+    this.drawOffer = player;
+    this.updateControls();
+    if (this.online !== null) {
+      this.online.send({ type: "draw-offer" });
+      this.showMessage(
+        "Draw offered. Your opponent can accept it, or decline by making a move.",
+        "info"
+      );
+    } else if (this.computerColor !== null) {
+      this.showMessage(
+        "Draw offered. The computer will answer after your move.",
+        "info"
+      );
+    } else {
+      const opponent = player === "WHITE" ? "BLACK" : "WHITE";
+      this.showMessage(
+        `${player} offers a draw. ${opponent} can accept it, or decline by making a move.`,
+        "info"
+      );
+    }
+  }
+
+  /**
+   * Resigns the game after asking for confirmation, for the player returned by getLocalPlayer.
+   */
+  resignGame() {
+    const player = this.getLocalPlayer();
+    if (player === null) return; // watching an online game
+
+    if (!window.confirm(`${player}, do you really want to resign?`)) return;
+    if (this.game.resign(player)) {
+      if (this.online !== null) this.online.send({ type: "resign" });
+      this.handleGameEnded();
+    }
+  }
+
+  /**
+   * Returns the color played from this browser: online, this player's color;
+   * against the computer, the human's color; otherwise the player to move.
+   *
+   * @returns {(string|null)} "WHITE" or "BLACK", or null when watching an online game.
+   */
+  getLocalPlayer() {
+    if (this.online !== null) return this.onlineColor;
+    if (this.puzzleMode) return this.puzzleTrainer.getSolver();
+    if (this.computerColor !== null) {
+      return this.computerColor === "WHITE" ? "BLACK" : "WHITE";
+    }
+    return this.game.currentPlayer;
+  }
+
+  /**
+   * Wraps up a game that ended outside of a move (on time, by resignation or by agreement):
+   * stops the clocks and the computer, updates the display, saves the game and announces the result.
+   */
+  handleGameEnded() {
+    this.computerPlayer.cancel();
+    this.clock.stop();
+    this.drawOffer = null;
+    this.hidePromotionPicker();
+    if (!this.animating) this.updateDisplay();
+    this.updateClocks();
+    this.saveGame();
+    this.showMessage(
+      `GAME OVER! ${this.getGameResultText().toUpperCase()}`,
+      "success"
+    );
+  }
+
+  /**
+   * Updates the visual representation of the chess board by iterating over each square,
+   * retrieving the piece at each position, and setting the corresponding HTML element's
+   * content to display the piece symbol. Also highlights the last move and a king in check,
+   * except in the position editor.
+   */
+  updateBoard() {
+    for (let row = 0; row < 8; row++) {
+      for (let col = 0; col < 8; col++) {
+        const piece = this.getBoardPiece(row, col);
+        const symbol = this.game.pieceSymbols[piece] || ""; // get piece symbol or empty string if no piece
+        const squareElement = this.getSquareElement(row, col);
+
+        if (squareElement) {
+          squareElement.innerHTML = `<span class="piece" aria-hidden="true">${symbol}</span>`;
+          squareElement.classList.remove("in-check", "last-move");
+        }
+      }
+    }
+
+    // highlight the squares of the last move (of the replayed position, while replaying)
+    const shownGame = this.replay || this.game;
+    const history = shownGame.moveHistory;
+    if (this.editor === null && history.length > 0) {
+      const lastMove = history[history.length - 1].move;
+      this.getSquareElement(lastMove.fromRow, lastMove.fromCol).classList.add(
+        "last-move"
+      );
+      this.getSquareElement(lastMove.toRow, lastMove.toCol).classList.add(
+        "last-move"
+      );
+    }
+
+    // highlight the king of the current player if it is in check
+    if (
+      this.editor === null &&
+      shownGame.gameState === "UNFINISHED" &&
+      shownGame.isInCheck()
+    ) {
+      const king = shownGame.findKing(shownGame.currentPlayer);
+      this.getSquareElement(king.row, king.col).classList.add("in-check");
+    }
+
+    this.updateSquareLabels();
+  }
+
+  /**
+   * Updates the game state, current player and rules.
+   * Marks the current player as in check when applicable.
+   */
+  updateGameInfo() {
+    const inCheck =
+      this.game.gameState === "UNFINISHED" && this.game.isInCheck();
+
+    this.gameStateElement.textContent = inCheck ? "CHECK" : this.game.gameState;
+    this.currentPlayerElement.textContent = this.game.currentPlayer;
+    this.rulesElement.textContent = this.getRulesText();
+
+    // update colors based on game state
+    if (this.game.gameState !== "UNFINISHED") {
+      this.gameStateElement.style.color = "#e74c3c";
+    } else if (inCheck) {
+      this.gameStateElement.style.color = "#f39c12";
+    } else {
+      this.gameStateElement.style.color = "#2ecc71";
+    }
+
+    // update current player color
+    if (this.game.currentPlayer === "WHITE") {
+      this.currentPlayerElement.style.color = "#ffffffff";
+    } else {
+      this.currentPlayerElement.style.color = "#000000ff";
+    }
+  }
+
+  /**
+   * Describes the rules of the game in a few words.
+   *
+   * @returns {string} "Standard", or how the rules differ from standard atomic chess ("Atomic960, 5x5 blasts").
+   */
+  getRulesText() {
+    const rules = this.game.rules;
+    const differences = [];
+
+    if (rules.chess960) differences.push("Atomic960");
+    if (rules.blastRadius === 0) {
+      differences.push("no blasts");
+    } else if (rules.blastRadius !== 1) {
+      const size = rules.blastRadius * 2 + 1;
+      differences.push(`${size}x${size} blasts`);
+    }
+    if (!rules.pawnsImmune) differences.push("pawns explode");
+    return differences.length > 0 ? differences.join(", ") : "Standard";
+  }
+
+  /**
+   * Describes the result of a finished game, including how it was decided.
+   *
+   * @returns {string} A human-readable description of the result ("Winner: WHITE (checkmate)").
+   */
+  getGameResultText() {
+    const gameState = this.game.gameState;
+    const winner = this.game.getWinner();
+
+    if (gameState === "STALEMATE") {
+      return "Draw by stalemate.";
+    }
+    if (gameState.endsWith("_BY_CHECKMATE")) {
+      return `Winner: ${winner} (checkmate)`;
+    }
+    if (gameState.endsWith("_ON_TIME")) {
+      return `Winner: ${winner} (on time)`;
+    }
+    if (gameState.endsWith("_BY_RESIGNATION")) {
+      return `Winner: ${winner} (resignation)`;
+    }
+    if (gameState === "DRAW_BY_THREEFOLD_REPETITION") {
+      return "Draw by threefold repetition.";
+    }
+    if (gameState === "DRAW_BY_FIFTY_MOVE_RULE") {
+      return "Draw by the fifty-move rule.";
+    }
+    if (gameState === "DRAW_BY_INSUFFICIENT_MATERIAL") {
+      return "Draw by insufficient material: neither king can be exploded.";
+    }
+    if (gameState === "DRAW_BY_AGREEMENT") {
+      return "Draw by agreement.";
+    }
+    return `Winner: ${winner} (king exploded)`;
+  }
+
+  /**
+   * Displays a status message in the UI with a specified type.
+   *
+   * @param {string} message - The message to display.
+   * @param {string} [type="info"] - The type of message ("info" (default), "error", "success", etc).
+   */
   showMessage(message, type = "info") {
     this.statusMessageElement.textContent = message;
     this.statusMessageElement.className = `status-message ${type}`; // update css class based on type
 
-    // clear info messages after 3 seconds
-    if (type === "info") {
-      setTimeout(() => {
-        this.statusMessageElement.textContent = "";
-        this.statusMessageElement.className = "status-message";
-      }, 3000);
+    // clear info messages after 3 seconds
+    if (type === "info") {
+      setTimeout(() => {
+        this.statusMessageElement.textContent = "";
+        this.statusMessageElement.className = "status-message";
+      }, 3000);
+    }
+  }
+
+  /**
+   * Takes back the last move and updates the display.
+   * Against the computer, also takes back the computer's reply, so it is the player's turn again.
+   * Moves cannot be taken back in timed, online or puzzle games.
+   */
+  undoMove() {
+    if (this.animating || this.editor !== null || this.replay !== null) return;
+    if (this.clock.isTimed() || this.online !== null || this.puzzleMode) {
+      this.showMessage(
+        "Moves cannot be taken back in timed, online or puzzle games.",
+        "info"
+      );
+      return;
+    }
+
+    this.computerPlayer.cancel();
+    if (!this.game.undo()) {
+      this.showMessage("There is no move to undo.", "info");
+      return;
+    }
+    while (this.isComputerTurn() && this.game.moveHistory.length > 0) {
+      this.game.undo();
+    }
+    this.drawOffer = null;
+
+    this.clearSelection();
+    this.updateDisplay();
+    this.saveGame();
+    this.showMessage("Move undone.", "info");
+    this.requestComputerMove();
+  }
+
+  /**
+   * Replays the last undone move and updates the display.
+   * Against the computer, also replays the computer's reply if it was undone.
+   * Not available in timed, online or puzzle games.
+   */
+  redoMove() {
+    if (this.animating || this.editor !== null || this.replay !== null) return;
+    if (this.clock.isTimed() || this.online !== null || this.puzzleMode) {
+      this.showMessage(
+        "Moves cannot be replayed in timed, online or puzzle games.",
+        "info"
+      );
+      return;
+    }
+
+    this.computerPlayer.cancel();
+    this.replayingMoves = true; // shown at once, not animated
+    const redone = this.game.redo();
+    while (redone && this.isComputerTurn() && this.game.redoStack.length > 0) {
+      this.game.redo();
+    }
+    this.replayingMoves = false;
+    if (!redone) {
+      this.showMessage("There is no move to redo.", "info");
+      return;
+    }
+    this.drawOffer = null;
+
+    this.clearSelection();
+    this.updateDisplay();
+    this.saveGame();
+    this.showMessage("Move redone.", "info");
+    this.requestComputerMove();
+  }
+
+  /**
+   * Determines if the computer is playing and it is the computer's turn in an unfinished game,
+   * outside puzzles and replays.
+   *
+   * @returns {boolean} True if the computer should move next, false otherwise.
+   */
+  isComputerTurn() {
+    return (
+      !this.puzzleMode &&
+      this.replay === null &&
+      this.computerColor === this.game.currentPlayer &&
+      this.game.gameState === "UNFINISHED"
+    );
+  }
+
+  /**
+   * Asks the computer for a move if it is the computer's turn.
+   */
+  requestComputerMove() {
+    if (!this.isComputerTurn()) return;
+
+    this.computerPlayer.requestMove(
+      this.game.getFEN(),
+      this.computerLevel,
+      this.game.rules
+    );
+    this.showMessage("Computer is thinking...", "info");
+  }
+
+  /**
+   * Plays the move chosen by the computer, or accepts the player's draw offer instead
+   * if the computer doesn't think it is winning.
+   *
+   * @param {({from: string, to: string, promotion: (string|null)}|null)} move - The computer's move.
+   * @param {number} score - The engine's score of the position for the computer (positive means it is better).
+   */
+  playComputerMove(move, score) {
+    if (move === null || !this.isComputerTurn()) return;
+
+    if (this.drawOffer !== null && this.drawOffer !== this.computerColor) {
+      if (score <= 0) {
+        if (this.game.agreeDraw()) this.handleGameEnded();
+        return;
+      }
+      this.drawOffer = null;
+      this.showMessage("The computer declines the draw offer.", "info");
+    }
+
+    this.clearSelection();
+    this.attemptMove(move.from, move.to, move.promotion);
+  }
+
+  /**
+   * Downloads the current game as a PGN file, with its time control in timed games.
+   */
+  downloadPGN() {
+    // PGN can record base time and increment, but not a delay
+    const timeControl = this.clock.timeControl;
+    const headers = {};
+    if (timeControl !== null && timeControl.delay === 0) {
+      headers.TimeControl = `${timeControl.minutes * 60}+${
+        timeControl.increment
+      }`;
+    }
+
+    const pgn = this.game.exportPGN(headers);
+    const blob = new Blob([pgn], { type: "application/x-chess-pgn" });
+    const url = URL.createObjectURL(blob);
+
+    // a temporary link triggers the download
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `atomic-chess-${new Date().toISOString().slice(0, 10)}.pgn`;
+    link.click();
+
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Loads a game from a PGN file chosen by the user.
+   * Shows an error message if the file is not a valid Atomic PGN.
+   *
+   * @param {File} file - The PGN file to load.
+   */
+  loadPGNFile(file) {
+    if (this.online !== null) {
+      this.showMessage("Leave the online game to load a PGN.", "info");
+      return;
+    }
+
+    file.text().then((pgn) => {
+      try {
+        this.game.loadPGN(pgn);
+      } catch (error) {
+        this.showMessage(`Could not load PGN: ${error.message}`, "error");
+        return;
+      }
+
+      this.gameId = this.createGameId();
+      this.drawOffer = null;
+      this.resetClocks();
+      this.clearSelection();
+      this.updateDisplay();
+      this.saveGame();
+      this.showMessage(
+        `Game loaded! ${this.game.moveHistory.length} moves played.`,
+        "success"
+      );
+      this.computerPlayer.cancel();
+      this.requestComputerMove();
+    });
+  }
+
+  /**
+   * Opens the FEN modal, filled in with the current position.
+   */
+  openFenDialog() {
+    document.getElementById("fen-input").value = this.game.getFEN();
+    document.getElementById("fen-error").textContent = "";
+    document.getElementById("fen-modal").style.display = "block";
+  }
+
+  /**
+   * Loads the position typed or pasted into the FEN modal.
+   * Shows the validation error in the modal if the FEN is invalid.
+   */
+  loadFenFromDialog() {
+    const fen = document.getElementById("fen-input").value;
+    if (this.online !== null) {
+      document.getElementById("fen-error").textContent =
+        "Leave the online game to load a position.";
+      return;
+    }
+
+    try {
+      this.game.loadFEN(fen);
+    } catch (error) {
+      document.getElementById("fen-error").textContent = error.message;
+      return;
+    }
+
+    document.getElementById("fen-modal").style.display = "none";
+    this.startFromPosition();
+  }
+
+  /**
+   * Starts a new game from the position just loaded into the game, from a FEN or the position editor.
+   */
+  startFromPosition() {
+    this.gameId = this.createGameId();
+    this.drawOffer = null;
+    this.resetClocks();
+    this.clearSelection();
+    this.updateDisplay();
+    this.saveGame();
+    this.showMessage(
+      `Position loaded! ${this.game.currentPlayer} to move.`,
+      "success"
+    );
+    this.computerPlayer.cancel();
+    this.requestComputerMove();
+  }
+
+  /**
+   * Switches to puzzle mode once the puzzles are loaded, starting with the first puzzle not solved yet.
+   * The game in progress is saved first and comes back when leaving the puzzles.
+   * Puzzles are untimed, played by the standard rules, and the computer opponent sits them out.
+   * Not available in online games.
+   */
+  startPuzzles() {
+    if (this.online !== null) {
+      this.showMessage("Leave the online game to solve puzzles.", "info");
+      return;
+    }
+    if (this.animating) return;
+
+    this.puzzleTrainer.load().then(
+      () => {
+        this.saveGame();
+        this.puzzleMode = true;
+        this.computerPlayer.cancel();
+        this.clock.setTimeControl(null);
+        this.game.setRules();
+        document.querySelector("main").classList.add("puzzles");
+        document.getElementById("puzzle-panel").hidden = false;
+        this.loadPuzzle(this.puzzleTrainer.getNextIndex());
+      },
+      () =>
+        this.showMessage(
+          "The puzzles could not be loaded. They need the page to be served over HTTP (see README).",
+          "error"
+        )
+    );
+  }
+
+  /**
+   * Sets up a puzzle's position, with the side that solves it at the bottom of the board.
+   *
+   * @param {number} index - The index of the puzzle.
+   */
+  loadPuzzle(index) {
+    if (this.animating) return;
+
+    const puzzle = this.puzzleTrainer.start(index);
+    this.game.loadFEN(puzzle.fen);
+    this.gameId = this.createGameId();
+    this.drawOffer = null;
+    this.clearSelection();
+    this.setOrientation(this.puzzleTrainer.getSolver());
+    this.updateDisplay();
+    this.updateClocks();
+    this.updatePuzzlePanel();
+    this.showMessage(
+      `${this.puzzleTrainer.getSolver()} to play and win.`,
+      "success"
+    );
+  }
+
+  /**
+   * Checks the player's move against the puzzle's solution, once it has been animated:
+   * plays the defender's reply to a correct move, takes back a wrong move, and reports a solved puzzle.
+   * The reply or takeback comes after a short pause, during which the board waits like during an animation.
+   * Does nothing outside puzzle mode or for the defender's own moves.
+   *
+   * @param {Object} move - The move that was made (see ChessGame.createMove).
+   */
+  checkPuzzleMove(move) {
+    const trainer = this.puzzleTrainer;
+    if (!this.puzzleMode) return;
+    if (this.game.getPieceOwner(move.piece) !== trainer.getSolver()) return;
+
+    const won = this.game.getWinner() === trainer.getSolver();
+    const result = trainer.checkMove(this.getMoveNotation(move), won);
+
+    if (result === "wrong") {
+      this.showMessage(
+        "That's not the solution. Try another move, or go on to the next puzzle.",
+        "error"
+      );
+      this.animating = true;
+      setTimeout(() => {
+        this.animating = false;
+        this.game.undo();
+        this.updateDisplay();
+      }, this.puzzleDelay);
+    } else if (result === "correct") {
+      const reply = trainer.nextReply();
+      this.animating = true;
+      setTimeout(() => {
+        this.animating = false;
+        this.game.makeMove(reply.slice(0, 2), reply.slice(2, 4), reply[4]);
+      }, this.puzzleDelay);
+    } else if (trainer.mistake) {
+      this.showMessage("Puzzle finished, but not on the first try.", "info");
+    } else {
+      this.showMessage(
+        `Puzzle solved! ${trainer.progress.streak} in a row.`,
+        "success"
+      );
+    }
+    this.updatePuzzlePanel();
+  }
+
+  /**
+   * Shows the current puzzle, its last result, and the player's progress in the puzzle panel.
+   */
+  updatePuzzlePanel() {
+    const trainer = this.puzzleTrainer;
+    const puzzle = trainer.getPuzzle();
+    const progress = trainer.progress;
+    const result = progress.results[puzzle.id];
+
+    document.getElementById("puzzle-title").textContent = `Puzzle ${
+      trainer.index + 1
+    } of ${trainer.puzzles.length}: ${puzzle.title}${
+      result ? ` (${result})` : ""
+    }`;
+    document.getElementById(
+      "puzzle-stats"
+    ).textContent = `Solved: ${trainer.getSolvedCount()}, streak: ${
+      progress.streak
+    } (best ${progress.bestStreak})`;
+  }
+
+  /**
+   * Leaves puzzle mode and goes back to the game that was in progress before, or to a new game.
+   */
+  exitPuzzles() {
+    if (this.animating) return;
+
+    this.puzzleMode = false;
+    document.querySelector("main").classList.remove("puzzles");
+    document.getElementById("puzzle-panel").hidden = true;
+
+    const record = this.storage.loadCurrentGame();
+    if (record === null) {
+      this.newGame();
+      return;
+    }
+    try {
+      this.loadGameRecord(record);
+    } catch (error) {
+      this.newGame();
+      return;
+    }
+    this.showMessage("Back to your game.", "info");
+    this.requestComputerMove();
+  }
+
+  /**
+   * Returns the piece shown on a square: from the position being set up while the position editor is open,
+   * from the replayed position while the replay viewer is open, otherwise from the game.
+   *
+   * @param {number} row - The row index of the square.
+   * @param {number} col - The column index of the square.
+   * @returns {number} The piece, or 0 if the square is empty.
+   */
+  getBoardPiece(row, col) {
+    return (this.editor || this.replay || this.game).getPieceAt(row, col);
+  }
+
+  /**
+   * Opens the position editor on the current position, in place of the game's controls.
+   * The computer stops thinking until the editor is closed.
+   * Not available in online games, or while the clocks of a timed game are running.
+   */
+  openEditor() {
+    if (this.online !== null) {
+      this.showMessage("Leave the online game to edit a position.", "info");
+      return;
+    }
+    if (this.clock.runningPlayer !== null) {
+      this.showMessage(
+        "The position can't be edited while the clocks are running.",
+        "info"
+      );
+      return;
+    }
+    if (this.animating) return;
+
+    this.computerPlayer.cancel();
+    this.hidePromotionPicker();
+
+    this.editor = new ChessGame();
+    this.editor.board = this.game.board.map((row) => [...row]);
+    document.getElementById("editor-side").value = this.game.currentPlayer;
+    document.querySelectorAll(".castling-toggle").forEach((toggle) => {
+      toggle.checked =
+        this.game.castlingRights[toggle.dataset.player][toggle.dataset.side];
+    });
+    document.getElementById("editor-error").textContent = "";
+    document.querySelector("main").classList.add("editing");
+    document.getElementById("editor-panel").hidden = false;
+
+    this.renderPalette();
+    this.updateBoard();
+    this.showMessage(
+      "Pick a piece and click squares to place it. Click a piece again to remove it.",
+      "info"
+    );
+  }
+
+  /**
+   * Fills the position editor's palette with a button for each piece, and one for clearing squares.
+   * The selected button is marked as pressed.
+   */
+  renderPalette() {
+    const palette = document.getElementById("piece-palette");
+    palette.innerHTML = ""; // clear the buttons from the last time the palette was drawn
+
+    const pieces = [
+      this.game.WK,
+      this.game.WQ,
+      this.game.WR,
+      this.game.WB,
+      this.game.WH,
+      this.game.WP,
+      this.game.BK,
+      this.game.BQ,
+      this.game.BR,
+      this.game.BB,
+      this.game.BH,
+      this.game.BP,
+      0,
+    ];
+    pieces.forEach((piece) => {
+      const button = document.createElement("button");
+      const name = piece === 0 ? "Clear square" : this.getPieceName(piece);
+      button.className = "palette-piece";
+      button.textContent = piece === 0 ? "✕" : this.game.pieceSymbols[piece];
+      button.title = name;
+      button.setAttribute("aria-label", name);
+      button.setAttribute("aria-pressed", String(piece === this.editorPiece));
+      button.addEventListener("click", () => {
+        this.editorPiece = piece;
+        this.renderPalette();
+      });
+      palette.appendChild(button);
+    });
+  }
+
+  /**
+   * Places the palette's piece on a square in the position editor.
+   * Placing a piece on a square that already holds the same piece removes it.
+   *
+   * @param {number} row - The row index of the square.
+   * @param {number} col - The column index of the square.
+   */
+  editSquare(row, col) {
+    const piece =
+      this.editor.getPieceAt(row, col) === this.editorPiece
+        ? 0
+        : this.editorPiece;
+    this.editor.setPieceAt(row, col, piece);
+    document.getElementById("editor-error").textContent = "";
+    this.updateBoard();
+  }
+
+  /**
+   * Sets up the starting position in the position editor, or clears the board.
+   * Castling is allowed for both sides from the starting position, and for neither on an empty board.
+   *
+   * @param {boolean} clear - True to clear the board, false for the starting position.
+   */
+  resetEditor(clear) {
+    this.editor.initializeGame();
+    if (clear) {
+      this.editor.board = this.editor.board.map((row) => row.map(() => 0));
+    }
+    document.getElementById("editor-side").value = "WHITE";
+    document.querySelectorAll(".castling-toggle").forEach((toggle) => {
+      toggle.checked = !clear;
+    });
+    document.getElementById("editor-error").textContent = "";
+    this.updateBoard();
+  }
+
+  /**
+   * Starts a new game from the position in the editor, with the chosen side to move and castling rights.
+   * The position must be legal: each side needs exactly one king, pawns can't be on the first or last rank,
+   * castling needs the king and rook on their starting squares, and the side that just moved can't be in check.
+   * Otherwise the editor stays open and shows what is wrong.
+   */
+  playFromEditor() {
+    this.editor.currentPlayer = document.getElementById("editor-side").value;
+    document.querySelectorAll(".castling-toggle").forEach((toggle) => {
+      this.editor.castlingRights[toggle.dataset.player][toggle.dataset.side] =
+        toggle.checked;
+    });
+
+    try {
+      this.game.loadFEN(this.editor.getFEN()); // validates the position
+    } catch (error) {
+      document.getElementById("editor-error").textContent = error.message;
+      return;
+    }
+
+    this.closeEditor();
+    this.startFromPosition();
+  }
+
+  /**
+   * Closes the position editor without changing the game, and carries on with the game:
+   * the computer moves if it is its turn.
+   */
+  cancelEditor() {
+    this.closeEditor();
+    this.updateDisplay();
+    this.showMessage("Position editing cancelled.", "info");
+    this.requestComputerMove();
+  }
+
+  /**
+   * Hides the position editor and shows the game's controls again.
+   */
+  closeEditor() {
+    this.editor = null;
+    document.querySelector("main").classList.remove("editing");
+    document.getElementById("editor-panel").hidden = true;
+  }
+
+  /**
+   * Opens the replay viewer on the game, in place of the game's controls, at its starting position.
+   * The replay steps through a copy of the game, so the game itself never changes;
+   * the computer stops thinking until the viewer is closed.
+   * Online games, and timed games whose clocks are running, can only be replayed once they are finished.
+   */
+  openReplay() {
+    if (this.online !== null && this.game.gameState === "UNFINISHED") {
+      this.showMessage(
+        "Online games can be replayed once they are finished.",
+        "info"
+      );
+      return;
+    }
+    if (this.clock.runningPlayer !== null) {
+      this.showMessage(
+        "Timed games can be replayed once they are finished.",
+        "info"
+      );
+      return;
+    }
+    if (this.animating) return;
+    if (this.game.moveHistory.length === 0) {
+      this.showMessage("There are no moves to replay yet.", "info");
+      return;
+    }
+
+    this.computerPlayer.cancel();
+    this.hidePromotionPicker();
+    this.clearSelection();
+
+    // replay a copy of the game, and go back to its start; the moves are then redone one by one
+    this.replay = new ChessGame();
+    this.replay.loadPGN(this.game.exportPGN());
+    while (this.replay.undo());
+
+    document.getElementById("replay-slider").max = this.getReplayLength();
+    document.querySelector("main").classList.add("replaying");
+    document.getElementById("replay-panel").hidden = false;
+
+    this.updateBoard();
+    this.updateReplayPanel();
+    this.showMessage(
+      "Replaying the game: step through the moves or press Play.",
+      "info"
+    );
+  }
+
+  /**
+   * Returns the number of moves in the game being replayed.
+   *
+   * @returns {number} The number of moves.
+   */
+  getReplayLength() {
+    return this.replay.moveHistory.length + this.replay.redoStack.length;
+  }
+
+  /**
+   * Plays the next move of the replay, with its slide and explosion animated as in the game.
+   *
+   * @returns {boolean} True if a move was played, false at the end of the game or while a move is animated.
+   */
+  replayNextMove() {
+    if (this.animating || !this.replay.redo()) return false;
+
+    const history = this.replay.moveHistory;
+    const entry = history[history.length - 1];
+    this.announce(this.describeMove(entry));
+    this.animating = true;
+
+    this.animator.animateMove(
+      entry.move,
+      () => this.updateBoard(),
+      () => {
+        this.animating = false;
+        this.updateReplayPanel();
+        if (this.replayPlaying) this.scheduleReplayMove();
+      }
+    );
+    return true;
+  }
+
+  /**
+   * Jumps to the position after the given number of moves, without animating the moves in between.
+   * Ignored while a move is animated.
+   *
+   * @param {number} ply - The number of moves played, from 0 (the starting position) to the length of the game.
+   */
+  seekReplay(ply) {
+    if (this.animating) {
+      this.updateReplayPanel(); // puts the slider back
+      return;
+    }
+
+    while (this.replay.moveHistory.length > ply && this.replay.undo());
+    while (this.replay.moveHistory.length < ply && this.replay.redo());
+    this.updateBoard();
+    this.updateReplayPanel();
+  }
+
+  /**
+   * Starts or pauses playing the replay by itself, one move every this.replaySpeed ms.
+   * Playing from the end of the game starts again from the beginning.
+   */
+  toggleReplayPlaying() {
+    if (this.replayPlaying) {
+      this.pauseReplay();
+      return;
+    }
+
+    if (this.replay.redoStack.length === 0) this.seekReplay(0);
+    this.replayPlaying = true;
+    this.updateReplayPanel();
+    if (!this.animating) this.scheduleReplayMove();
+  }
+
+  /**
+   * Plays the next move of the replay after a pause, or stops playing at the end of the game.
+   */
+  scheduleReplayMove() {
+    clearTimeout(this.replayTimer);
+    if (this.replay.redoStack.length === 0) {
+      this.pauseReplay();
+      return;
+    }
+    this.replayTimer = setTimeout(
+      () => this.replayNextMove(),
+      this.replaySpeed
+    );
+  }
+
+  /**
+   * Stops playing the replay by itself.
+   */
+  pauseReplay() {
+    this.replayPlaying = false;
+    clearTimeout(this.replayTimer);
+    this.replayTimer = null;
+    this.updateReplayPanel();
+  }
+
+  /**
+   * Shows where the replay is: moves the slider, describes the last move played (and the result at the end),
+   * enables the buttons that can be used, and marks the move in the move list.
+   */
+  updateReplayPanel() {
+    if (this.replay === null) return;
+
+    const ply = this.replay.moveHistory.length;
+    const length = this.getReplayLength();
+    let position = "Starting position";
+    if (ply > 0) {
+      const entry = this.replay.moveHistory[ply - 1];
+      const number = entry.previousState.fullmoveNumber;
+      const dots = entry.player === "WHITE" ? "." : "...";
+      position = `Move ${ply} of ${length}: ${number}${dots} ${entry.san}`;
+    }
+    if (ply === length && this.game.gameState !== "UNFINISHED") {
+      position += ` (${this.getGameResultText()})`;
+    }
+
+    document.getElementById("replay-slider").value = ply;
+    document.getElementById("replay-position").textContent = position;
+    document.getElementById("replay-first-btn").disabled = ply === 0;
+    document.getElementById("replay-back-btn").disabled = ply === 0;
+    document.getElementById("replay-forward-btn").disabled = ply === length;
+    document.getElementById("replay-last-btn").disabled = ply === length;
+    document.getElementById("replay-play-btn").textContent = this.replayPlaying
+      ? "Pause"
+      : "Play";
+
+    this.moveListElement.querySelectorAll(".move-san").forEach((san) => {
+      san.classList.toggle("replay-current", Number(san.dataset.ply) === ply);
+    });
+  }
+
+  /**
+   * Closes the replay viewer and goes back to the game as it was:
+   * the computer moves if it is its turn. Ignored while a move is animated.
+   */
+  closeReplay() {
+    if (this.animating) return;
+
+    this.pauseReplay();
+    this.replay = null;
+    document.querySelector("main").classList.remove("replaying");
+    document.getElementById("replay-panel").hidden = true;
+
+    this.updateDisplay();
+    this.showMessage("Back to the game.", "info");
+    this.requestComputerMove();
+  }
+
+  /**
+   * Copies the FEN of the current position to the clipboard.
+   */
+  copyFen() {
+    const fen = this.game.getFEN();
+    document.getElementById("fen-input").value = fen;
+
+    navigator.clipboard
+      .writeText(fen)
+      .then(() => {
+        document.getElementById("fen-error").textContent = "";
+        this.showMessage("FEN copied to clipboard.", "info");
+      })
+      .catch(() => {
+        // clipboard access can be blocked, so leave the FEN selected for manual copying
+        document.getElementById("fen-input").select();
+        document.getElementById("fen-error").textContent =
+          "Could not access the clipboard. Press Ctrl+C to copy the selected FEN.";
+      });
+  }
+
+  /**
+   * Determines if this player has to wait in an online game: for the opponent's move,
+   * for the connection to come back, or always when only watching.
+   *
+   * @returns {boolean} True if this player can't move right now, false otherwise (or when not playing online).
+   */
+  isOnlineWaiting() {
+    return (
+      this.online !== null &&
+      (!this.online.isConnected() ||
+        this.onlineColor === null ||
+        this.onlineColor !== this.game.currentPlayer)
+    );
+  }
+
+  /**
+   * Explains why this player can't move in an online game (see isOnlineWaiting).
+   *
+   * @returns {string} The message to show.
+   */
+  getOnlineWaitingMessage() {
+    if (!this.online.isConnected()) return "Reconnecting to the server...";
+    if (this.onlineColor === null) return "You are watching this game.";
+    return "Please wait for your opponent to move.";
+  }
+
+  /**
+   * Writes a move in the coordinate notation sent to the opponent online.
+   *
+   * @param {Object} move - The move (see ChessGame.createMove).
+   * @returns {string} The from and to squares as makeMove takes them (see ChessGame.getMoveTarget),
+   * followed by the promotion piece for promotions ("e2e4", "e7e8q").
+   */
+  getMoveNotation(move) {
+    const isPromotion =
+      this.game.isPawn(move.piece) && (move.toRow === 0 || move.toRow === 7);
+    const to = this.game.getMoveTarget(move);
+    return `${move.from}${to}${isPromotion ? move.promotion : ""}`;
+  }
+
+  /**
+   * Starts an online game in a new room, and puts its link in the address bar to share with the opponent.
+   * An unfinished game in progress is added to the saved games library first.
+   */
+  startOnlineGame() {
+    if (this.online !== null) {
+      this.showMessage("Leave this online game to start a new one.", "info");
+      return;
+    }
+
+    if (
+      this.game.gameState === "UNFINISHED" &&
+      this.game.moveHistory.length > 0
+    ) {
+      this.storage.saveGame(this.createGameRecord());
+    }
+
+    const roomId = Math.random().toString(36).slice(2, 10);
+    history.replaceState(null, "", `?room=${roomId}`);
+    this.joinOnlineGame(roomId);
+  }
+
+  /**
+   * Joins the online game in the given room. Online games are untimed, played without the computer,
+   * and by the standard rules, which both players' browsers know.
+   * The game is replayed from the server once connected.
+   *
+   * @param {string} roomId - The room id from the game link.
+   */
+  joinOnlineGame(roomId) {
+    if (location.protocol === "file:") {
+      this.showMessage(
+        "Online games need the relay server: run npm start and open http://localhost:8080 (see README).",
+        "error"
+      );
+      return;
+    }
+
+    this.computerPlayer.cancel();
+    this.computerColor = null;
+    document.getElementById("computer-select").value = "none";
+    this.clock.setTimeControl(null);
+
+    this.game.setRules();
+    this.game.initializeGame();
+    this.gameId = `online-${roomId}`;
+    this.drawOffer = null;
+    this.onlineColor = null;
+    this.onlineQueue = [];
+    this.onlinePresence = { WHITE: false, BLACK: false };
+    this.online = new OnlineConnection(roomId, {
+      onJoined: (color, actions) => this.handleOnlineJoined(color, actions),
+      onAction: (action) => this.handleOnlineAction(action),
+      onPresence: (connected) => {
+        this.onlinePresence = connected;
+        this.updateOnlinePanel();
+      },
+      onStatus: (connected) => {
+        if (!connected) {
+          this.showMessage("Connection lost. Reconnecting...", "error");
+        }
+        this.updateOnlinePanel();
+      },
+    });
+
+    this.clearSelection();
+    this.updateDisplay();
+    this.updateClocks();
+    this.updateOnlinePanel();
+    this.showMessage("Connecting to the server...", "info");
+  }
+
+  /**
+   * Catches up with the online game after (re)connecting: replays every move, resignation,
+   * draw offer and accepted draw from the server, and turns the board to this player's color.
+   *
+   * @param {(string|null)} color - This player's color, or null when watching.
+   * @param {Object[]} actions - The game's actions so far (see handleOnlineAction).
+   */
+  handleOnlineJoined(color, actions) {
+    this.onlineColor = color;
+    this.onlineQueue = [];
+    this.animator.cancel();
+    this.drawOffer = null;
+    this.game.initializeGame();
+
+    this.replayingMoves = true; // shown at once, not animated
+    for (const action of actions) {
+      if (action.type === "move") {
+        const result = this.game.makeMove(
+          action.move.slice(0, 2),
+          action.move.slice(2, 4),
+          action.move.slice(4) || "q"
+        );
+        if (!result.success) {
+          this.showMessage(
+            `The online game could not be replayed: ${result.message}`,
+            "error"
+          );
+          break;
+        }
+        if (this.drawOffer !== null && this.drawOffer !== action.color) {
+          this.drawOffer = null; // declined by moving
+        }
+      } else if (action.type === "resign") {
+        this.game.resign(action.color);
+      } else if (action.type === "draw-offer") {
+        this.drawOffer = action.color;
+      } else if (this.isDrawAcceptable(action)) {
+        this.game.agreeDraw();
+      }
+    }
+    this.replayingMoves = false;
+
+    this.clearSelection();
+    this.setOrientation(color === "BLACK" ? "BLACK" : "WHITE");
+    this.updateDisplay();
+    this.updateOnlinePanel();
+
+    if (this.game.gameState !== "UNFINISHED") {
+      this.showMessage(`Game over! ${this.getGameResultText()}`, "info");
+    } else if (color === null) {
+      this.showMessage("Both players have joined. You are watching.", "info");
+    } else {
+      this.showMessage(
+        `You play ${color}. Share the link with your opponent.`,
+        "success"
+      );
+    }
+  }
+
+  /**
+   * Receives the opponent's action. It is played once the current animation has finished.
+   *
+   * @param {Object} action - {type: "move", move, ply}, {type: "resign"}, {type: "draw-offer"}
+   * or {type: "draw-accept"}, with the color of the player who sent it.
+   */
+  handleOnlineAction(action) {
+    this.onlineQueue.push(action);
+    this.processOnlineQueue();
+  }
+
+  /**
+   * Plays the opponent's pending actions, one at a time, between animations.
+   */
+  processOnlineQueue() {
+    while (!this.animating && this.onlineQueue.length > 0) {
+      this.applyOnlineAction(this.onlineQueue.shift());
+    }
+  }
+
+  /**
+   * Plays one of the opponent's actions. A move is checked like any other move;
+   * if it doesn't fit the game here, the whole game is requested from the server again.
+   *
+   * @param {Object} action - The opponent's action (see handleOnlineAction).
+   */
+  applyOnlineAction(action) {
+    if (action.type === "move") {
+      if (action.ply !== this.game.moveHistory.length) {
+        this.online.resync();
+        return;
+      }
+
+      this.clearSelection();
+      this.applyingOnlineMove = true;
+      const accepted = this.attemptMove(
+        action.move.slice(0, 2),
+        action.move.slice(2, 4),
+        action.move.slice(4) || "q"
+      );
+      this.applyingOnlineMove = false;
+      if (!accepted) this.online.resync();
+    } else if (action.type === "resign") {
+      if (this.game.resign(action.color)) this.handleGameEnded();
+    } else if (action.type === "draw-offer") {
+      this.drawOffer = action.color;
+      this.updateControls();
+      this.showMessage(
+        `${action.color} offers a draw. Accept it, or decline by making a move.`,
+        "info"
+      );
+    } else if (this.isDrawAcceptable(action)) {
+      if (this.game.agreeDraw()) this.handleGameEnded();
+    }
+  }
+
+  /**
+   * Determines if an online action accepts a draw that was really offered: by the other player, and still open.
+   *
+   * @param {Object} action - An online action (see handleOnlineAction).
+   * @returns {boolean} True if the action is a valid draw acceptance, false otherwise.
+   */
+  isDrawAcceptable(action) {
+    return (
+      action.type === "draw-accept" &&
+      this.drawOffer !== null &&
+      this.drawOffer !== action.color
+    );
+  }
+
+  /**
+   * Shows the online panel during online games: the game link, this player's color, and whether the opponent is connected.
+   */
+  updateOnlinePanel() {
+    const panel = document.getElementById("online-panel");
+    panel.hidden = this.online === null;
+    if (this.online === null) return;
+
+    document.getElementById(
+      "online-link"
+    ).value = `${location.origin}${location.pathname}?room=${this.online.roomId}`;
+
+    let status;
+    if (!this.online.isConnected()) {
+      status = "Reconnecting...";
+    } else if (this.onlineColor === null) {
+      status = "Watching";
+    } else {
+      const opponent = this.onlineColor === "WHITE" ? "BLACK" : "WHITE";
+      const connected = this.onlinePresence[opponent];
+      status = `You play ${this.onlineColor} · opponent ${
+        connected ? "connected" : "not connected"
+      }`;
+    }
+    document.getElementById("online-status").textContent = status;
+  }
+
+  /**
+   * Copies the online game's link to the clipboard, to send to the opponent.
+   */
+  copyOnlineLink() {
+    const linkInput = document.getElementById("online-link");
+
+    navigator.clipboard
+      .writeText(linkInput.value)
+      .then(() => {
+        this.showMessage("Link copied! Send it to your opponent.", "info");
+      })
+      .catch(() => {
+        // clipboard access can be blocked, so leave the link selected for manual copying
+        linkInput.select();
+        this.showMessage(
+          "Could not access the clipboard. Press Ctrl+C to copy the selected link.",
+          "error"
+        );
+      });
+  }
+
+  /**
+   * Leaves the online game: disconnects and removes the room from the address bar.
+   */
+  leaveOnlineGame() {
+    this.online.close();
+    this.online = null;
+    this.onlineColor = null;
+    this.onlineQueue = [];
+    history.replaceState(null, "", location.pathname);
+    this.updateOnlinePanel();
+  }
+
+  /**
+   * Creates an id for a new game, unique enough to tell saved games apart.
+   *
+   * @returns {string} The game id.
+   */
+  createGameId() {
+    return `${Date.now().toString(36)}-${Math.random()
+      .toString(36)
+      .slice(2, 8)}`;
+  }
+
+  /**
+   * Describes the game as a record that can be saved and restored later (see GameStorage).
+   * The moves are stored as PGN, so a restored game is replayed and checked move by move.
+   *
+   * @returns {Object} The record: {id, pgn, gameState, result, summary, moveCount, clock,
+   * computerColor, computerLevel, savedAt}.
+   */
+  createGameRecord() {
+    const finished = this.game.gameState !== "UNFINISHED";
+
+    return {
+      id: this.gameId,
+      pgn: this.game.exportPGN(),
+      gameState: this.game.gameState,
+      result: this.game.getResult(),
+      summary: finished ? this.getGameResultText() : "In progress",
+      moveCount: this.game.moveHistory.length,
+      clock: this.clock.getState(),
+      computerColor: this.computerColor,
+      computerLevel: this.computerLevel,
+      savedAt: Date.now(),
+    };
+  }
+
+  /**
+   * Saves the game so it survives a reload (online games are resumed by reconnecting instead).
+   * Finished games are also kept in the saved games library.
+   */
+  saveGame() {
+    if (this.puzzleMode) return; // puzzles aren't saved, the game from before them is
+
+    const record = this.createGameRecord();
+    if (this.online === null) this.storage.saveCurrentGame(record); // online games are resumed from the server
+    if (this.game.gameState !== "UNFINISHED") {
+      this.storage.saveGame(record);
+    }
+  }
+
+  /**
+   * Replaces the current game with a saved one: replays its moves,
+   * and restores how it ended, its clocks and the computer opponent's settings.
+   * Throws an error if the saved moves can't be replayed.
+   *
+   * @param {Object} record - A record created by createGameRecord.
+   */
+  loadGameRecord(record) {
+    this.game.loadPGN(record.pgn);
+
+    // games that ended without a move can't be told apart from their moves
+    const state = record.gameState;
+    const loser = state.startsWith("WHITE_WON") ? "BLACK" : "WHITE";
+    if (state.endsWith("_ON_TIME")) {
+      this.game.loseOnTime(loser);
+    } else if (state.endsWith("_BY_RESIGNATION")) {
+      this.game.resign(loser);
+    } else if (state === "DRAW_BY_AGREEMENT") {
+      this.game.agreeDraw();
+    }
+
+    this.gameId = record.id;
+    this.drawOffer = null;
+    this.clock.restoreState(record.clock);
+    if (this.game.gameState !== "UNFINISHED") this.clock.stop();
+
+    this.computerPlayer.cancel();
+    this.computerColor = record.computerColor;
+    this.computerLevel = record.computerLevel;
+    document.getElementById("computer-select").value =
+      record.computerColor || "none";
+    document.getElementById("level-select").value = record.computerLevel;
+
+    this.clearSelection();
+    this.updateDisplay();
+    this.updateClocks();
+  }
+
+  /**
+   * Resumes the game that was in progress when the page was last closed, if there is one.
+   * A saved game that can't be restored is discarded.
+   */
+  restoreCurrentGame() {
+    const record = this.storage.loadCurrentGame();
+    if (record === null) return;
+
+    try {
+      this.loadGameRecord(record);
+    } catch (error) {
+      this.storage.clearCurrentGame();
+      this.showMessage("The saved game could not be restored.", "error");
+      return;
+    }
+
+    if (this.game.moveHistory.length > 0) {
+      this.showMessage(
+        `Game restored! ${this.game.moveHistory.length} moves played.`,
+        "success"
+      );
+    }
+    this.requestComputerMove();
+  }
+
+  /**
+   * Opens the saved games modal.
+   */
+  openSavedGamesDialog() {
+    this.renderSavedGames();
+    document.getElementById("games-modal").style.display = "block";
+  }
+
+  /**
+   * Lists the games in the library, most recent first, each with "Open" and "Delete" buttons.
+   */
+  renderSavedGames() {
+    const list = document.getElementById("saved-games-list");
+    const games = this.storage.getSavedGames();
+    list.innerHTML = "";
+
+    document.getElementById("saved-games-empty").hidden = games.length > 0;
+
+    games.forEach((record) => {
+      const item = document.createElement("li");
+      item.className = "saved-game";
+
+      const opponent = record.computerColor
+        ? `vs computer (${record.computerLevel})`
+        : "two players";
+      const description = document.createElement("span");
+      description.className = "saved-game-description";
+      const savedAt = new Date(record.savedAt).toLocaleString();
+      description.textContent = [
+        record.summary,
+        `${record.moveCount} moves`,
+        opponent,
+        savedAt,
+      ].join(" · ");
+
+      const openButton = document.createElement("button");
+      openButton.className = "btn btn-info";
+      openButton.textContent = "Open";
+      openButton.addEventListener("click", () => this.openSavedGame(record));
+
+      const deleteButton = document.createElement("button");
+      deleteButton.className = "btn btn-secondary";
+      deleteButton.textContent = "Delete";
+      deleteButton.addEventListener("click", () => {
+        this.storage.deleteSavedGame(record.id);
+        this.renderSavedGames();
+      });
+
+      item.append(description, openButton, deleteButton);
+      list.appendChild(item);
+    });
+  }
+
+  /**
+   * Opens a game from the library. An unfinished game in progress is added to the library first,
+   * so it can be resumed later.
+   *
+   * @param {Object} record - The saved game record.
+   */
+  openSavedGame(record) {
+    if (this.animating) return;
+    if (this.online !== null) {
+      this.showMessage("Leave the online game to open a saved game.", "info");
+      return;
+    }
+
+    if (
+      this.game.gameState === "UNFINISHED" &&
+      this.game.moveHistory.length > 0 &&
+      record.id !== this.gameId
+    ) {
+      this.storage.saveGame(this.createGameRecord());
     }
+
+    try {
+      this.loadGameRecord(record);
+    } catch (error) {
+      this.showMessage(`Could not open the game: ${error.message}`, "error");
+      return;
+    }
+
+    this.storage.saveCurrentGame(this.createGameRecord()); // leave its place in the library as it is
+    document.getElementById("games-modal").style.display = "none";
+    this.showMessage(
+      this.game.gameState === "UNFINISHED"
+        ? `Game resumed! ${this.game.currentPlayer} to move.`
+        : `Game opened! ${this.getGameResultText()}`,
+      "success"
+    );
+    this.requestComputerMove();
+  }
+
+  /**
+   * Opens the new game modal, filled in with the rules of the current game.
+   */
+  openNewGameDialog() {
+    const rules = this.game.rules;
+    document.getElementById("blast-radius-select").value = String(
+      rules.blastRadius
+    );
+    document.getElementById("pawns-immune-toggle").checked = rules.pawnsImmune;
+    document.getElementById("start-position-select").value = rules.chess960
+      ? "chess960"
+      : "standard";
+    document.getElementById("new-game-modal").style.display = "block";
+  }
+
+  /**
+   * Starts a new game by the rules chosen in the new game modal.
+   */
+  startGameFromDialog() {
+    this.game.setRules({
+      blastRadius: Number(document.getElementById("blast-radius-select").value),
+      pawnsImmune: document.getElementById("pawns-immune-toggle").checked,
+      chess960:
+        document.getElementById("start-position-select").value === "chess960",
+    });
+    document.getElementById("new-game-modal").style.display = "none";
+    this.newGame();
   }
 
   /**
-   * Starts a new chess game by initializing the game state, clearing selections and highlights,
+   * Starts a new chess game (leaving the online game, if any) by initializing the game state, resetting the clocks, clearing selections and highlights,
    * updating the display, and showing a message indicating the start of the game.
+   * The game keeps the rules of the last one; in Atomic960 it starts from a new random back rank.
    */
   newGame() {
+    if (this.online !== null) this.leaveOnlineGame();
+
+    this.animator.cancel();
     this.game.initializeGame();
+    this.gameId = this.createGameId();
+    this.drawOffer = null;
+    this.resetClocks();
     this.selectedSquare = null;
     this.clearHighlights();
     this.updateDisplay();
+    this.saveGame();
     this.showMessage("New game started! White goes first.", "success");
+    this.computerPlayer.cancel();
+    this.requestComputerMove();
   }
 }
 
@@ -0,0 +1,250 @@
+#!/usr/bin/env node
+// Command-line atomic chess: play or replay games in a terminal, with the same rules as the browser game.
+//
+// Usage:
+//   node cli.js                        play interactively
+//   node cli.js --fen "<FEN>"          start from a position instead of the standard one
+//   node cli.js < game.txt             replay a move list (moves and commands separated by spaces or lines,
+//   echo "e4 e5 Nf3" | node cli.js     move numbers and results are skipped), then print the final position
+//
+// Moves can be typed in coordinate notation ("e2e4", "e7e8n") or in SAN ("Nf3", "exd5", "O-O").
+// Commands: undo, fen [FEN], pgn, new, board, help, quit.
+import { createInterface } from "node:readline";
+import { ChessGame } from "./chess-game.js";
+
+const HELP = `Moves: coordinates ("e2e4", "e7e8n" to promote to a knight) or SAN ("Nf3", "exd5", "O-O").
+Commands:
+  undo        take back the last move
+  fen         show the position in FEN
+  fen <FEN>   set up a position
+  pgn         show the game in PGN
+  new         start a new game
+  board       show the board
+  help        show this help
+  quit        exit`;
+
+/**
+ * Draws the board with the game's Unicode piece symbols, white at the bottom.
+ *
+ * @param {ChessGame} game - The game.
+ * @returns {string} The board, with rank and file labels.
+ */
+function renderBoard(game) {
+  const lines = game.board.map((row, rowIndex) => {
+    const squares = row.map((piece) =>
+      piece === game.EMPTY ? "·" : game.pieceSymbols[piece]
+    );
+    return `${8 - rowIndex} ${squares.join(" ")}`;
+  });
+  lines.push("  a b c d e f g h");
+  return lines.join("\n");
+}
+
+/**
+ * Describes the game's state: who is to move, or how the game ended.
+ *
+ * @param {ChessGame} game - The game.
+ * @returns {string} The description ("BLACK to move (check)", "Winner: WHITE (king exploded)").
+ */
+function getStatusText(game) {
+  const gameState = game.gameState;
+  const winner = game.getWinner();
+
+  if (gameState === "UNFINISHED") {
+    const check = game.isInCheck() ? " (check)" : "";
+    return `${game.currentPlayer} to move${check}`;
+  }
+  if (gameState === "STALEMATE") return "Draw by stalemate.";
+  if (gameState === "DRAW_BY_THREEFOLD_REPETITION") {
+    return "Draw by threefold repetition.";
+  }
+  if (gameState === "DRAW_BY_FIFTY_MOVE_RULE") {
+    return "Draw by the fifty-move rule.";
+  }
+  if (gameState === "DRAW_BY_INSUFFICIENT_MATERIAL") {
+    return "Draw by insufficient material: neither king can be exploded.";
+  }
+  if (gameState === "DRAW_BY_AGREEMENT") return "Draw by agreement.";
+  if (gameState.endsWith("_BY_CHECKMATE")) {
+    return `Winner: ${winner} (checkmate)`;
+  }
+  if (gameState.endsWith("_ON_TIME")) return `Winner: ${winner} (on time)`;
+  if (gameState.endsWith("_BY_RESIGNATION")) {
+    return `Winner: ${winner} (resignation)`;
+  }
+  return `Winner: ${winner} (king exploded)`;
+}
+
+/**
+ * Plays a move typed in coordinate notation or SAN.
+ *
+ * @param {ChessGame} game - The game.
+ * @param {string} text - The move ("e2e4", "e7e8q", "Nf3", "O-O").
+ * @returns {Object} The result, as returned by ChessGame.makeMove.
+ */
+function playMove(game, text) {
+  const parsed = game.parseMove(text);
+  if (parsed === null) {
+    if (game.gameState !== "UNFINISHED") return game.moveError("GAME_OVER");
+    return game.moveError("UNRECOGNIZED_MOVE");
+  }
+  return game.makeMove(parsed.from, parsed.to, parsed.promotion);
+}
+
+/**
+ * Runs one line of input: moves and commands separated by spaces, or "fen" followed by a position to set up.
+ * Move numbers ("1.", "12...") and game results ("1-0", "*") are skipped, so PGN movetext can be pasted.
+ *
+ * @param {ChessGame} game - The game.
+ * @param {string} line - The line of input.
+ * @returns {{output: string[], error: (string|null), moved: boolean, quit: boolean}} What to print,
+ * the error that stopped the line (if any), whether the position changed, and whether to exit.
+ */
+function runLine(game, line) {
+  const result = { output: [], error: null, moved: false, quit: false };
+
+  const [command, ...args] = line.trim().split(/\s+/);
+  if (command.toLowerCase() === "fen" && args.length > 0) {
+    try {
+      game.loadFEN(args.join(" "));
+      result.moved = true;
+    } catch (error) {
+      result.error = error.message;
+    }
+    return result;
+  }
+
+  const tokens = line
+    .replace(/\d+\.(\.\.)?/g, " ")
+    .split(/\s+/)
+    .filter((token) => token && !/^(1-0|0-1|1\/2-1\/2|\*)$/.test(token));
+
+  for (const token of tokens) {
+    switch (token.toLowerCase()) {
+      case "quit":
+      case "exit":
+        result.quit = true;
+        return result;
+      case "help":
+        result.output.push(HELP);
+        break;
+      case "board":
+        result.output.push(renderBoard(game), getStatusText(game));
+        break;
+      case "fen":
+        result.output.push(game.getFEN());
+        break;
+      case "pgn":
+        result.output.push(game.exportPGN());
+        break;
+      case "new":
+        game.initializeGame();
+        result.moved = true;
+        break;
+      case "undo":
+        if (!game.undo()) {
+          result.error = "No move to undo.";
+          return result;
+        }
+        result.moved = true;
+        break;
+      default: {
+        const moveResult = playMove(game, token);
+        if (!moveResult.success) {
+          result.error = `${token}: ${moveResult.message}`;
+          return result;
+        }
+        result.moved = true;
+      }
+    }
+  }
+  return result;
+}
+
+/**
+ * Reads the options from the command line.
+ *
+ * @param {string[]} args - The command-line arguments, without node and the script.
+ * @returns {{fen: (string|null)}} The options.
+ * @throws {Error} If an option is unknown or missing its value.
+ */
+function parseArgs(args) {
+  const options = { fen: null };
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === "--fen" && i + 1 < args.length) {
+      options.fen = args[++i];
+    } else if (args[i] === "--help" || args[i] === "-h") {
+      console.log(
+        'Usage: node cli.js [--fen "<FEN>"] [< moves.txt]\n\n' + HELP
+      );
+      process.exit(0);
+    } else {
+      throw new Error(`Unknown option "${args[i]}". Try --help.`);
+    }
+  }
+  return options;
+}
+
+/**
+ * Plays a game interactively when stdin is a terminal, or replays the moves piped into stdin.
+ * A replay stops at the first illegal move or failed command, with exit code 1.
+ */
+async function main() {
+  const game = new ChessGame();
+  try {
+    const options = parseArgs(process.argv.slice(2));
+    if (options.fen !== null) game.loadFEN(options.fen);
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+
+  const interactive = process.stdin.isTTY === true;
+  const rl = createInterface({
+    input: process.stdin,
+    output: interactive ? process.stdout : undefined,
+    terminal: interactive,
+  });
+
+  if (interactive) {
+    console.log('Atomic Chess. Type a move like "e2e4" or "Nf3", or "help".\n');
+    console.log(renderBoard(game));
+    console.log(getStatusText(game));
+    rl.setPrompt("> ");
+    rl.prompt();
+  }
+
+  let lineNumber = 0;
+  for await (const line of rl) {
+    lineNumber++;
+    const result = runLine(game, line);
+    result.output.forEach((text) => console.log(text));
+
+    if (result.error !== null) {
+      if (!interactive) {
+        console.error(`Line ${lineNumber}: ${result.error}`);
+        process.exitCode = 1;
+        break;
+      }
+      console.log(result.error);
+    }
+    if (result.quit) break;
+
+    if (interactive) {
+      if (result.moved) {
+        console.log(`\n${renderBoard(game)}`);
+        console.log(getStatusText(game));
+      }
+      rl.prompt();
+    }
+  }
+  rl.close();
+
+  if (!interactive) {
+    console.log(renderBoard(game));
+    console.log(getStatusText(game));
+  }
+}
+
+main();
@@ -0,0 +1,69 @@
+/**
+ * @class ComputerPlayer
+ * @description Asks the engine in engine-worker.js for moves, so the board stays responsive while it thinks.
+ * Only the answer to the latest request is delivered; cancelled or outdated answers are dropped.
+ */
+export class ComputerPlayer {
+  /**
+   * Creates the engine worker.
+   *
+   * @param {function({from: string, to: string, promotion: (string|null)}, number): void} onMove -
+   * Called with the engine's move, or with null if it has no legal moves,
+   * and the engine's score of the position for the computer (positive means the computer is better).
+   * @param {function(string): void} onError - Called with a message if the engine cannot run.
+   */
+  constructor(onMove, onError) {
+    this.onMove = onMove;
+    this.onError = onError;
+    this.requestId = 0;
+    this.thinking = false;
+
+    try {
+      this.worker = new Worker("engine-worker.js", { type: "module" });
+    } catch (error) {
+      // browsers don't allow workers on pages opened straight from the file system
+      this.worker = null;
+      return;
+    }
+
+    this.worker.addEventListener("message", (e) => {
+      if (e.data.id !== this.requestId) return; // answer to a cancelled request
+      this.thinking = false;
+      this.onMove(e.data.move, e.data.score);
+    });
+
+    this.worker.addEventListener("error", () => {
+      this.thinking = false;
+      this.onError("The computer opponent stopped working.");
+    });
+  }
+
+  /**
+   * Asks the engine for a move in the given position.
+   * Any earlier request that has not been answered yet is cancelled.
+   *
+   * @param {string} fen - The position in FEN.
+   * @param {string} level - The difficulty level ("easy", "medium", "hard" or "expert").
+   * @param {Object} rules - The rules of the game (see ChessGame.setRules).
+   */
+  requestMove(fen, level, rules) {
+    if (this.worker === null) {
+      this.onError(
+        "The computer opponent needs the page to be served over HTTP (see README)."
+      );
+      return;
+    }
+
+    this.requestId++;
+    this.thinking = true;
+    this.worker.postMessage({ id: this.requestId, fen, level, rules });
+  }
+
+  /**
+   * Cancels the pending request, if any, so its answer is ignored.
+   */
+  cancel() {
+    this.requestId++;
+    this.thinking = false;
+  }
+}
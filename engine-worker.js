@@ -0,0 +1,21 @@
+// Web Worker that runs the computer opponent off the main thread, so the board stays responsive.
+// Receives {id, fen, level, rules} and replies with {id, move, score}, where move is {from, to, promotion} or null
+// (to is the square makeMove expects, see ChessGame.getMoveTarget), and score is the engine's opinion of the position for the side to move (positive is good).
+import { AtomicEngine } from "./chess-engine.js";
+
+const engine = new AtomicEngine();
+
+self.addEventListener("message", (e) => {
+  const { id, fen, level, rules } = e.data;
+  const move = engine.findBestMove(fen, level, rules);
+
+  self.postMessage({
+    id: id,
+    move: move && {
+      from: move.from,
+      to: engine.game.getMoveTarget(move),
+      promotion: move.promotion,
+    },
+    score: engine.lastScore,
+  });
+});
@@ -0,0 +1,145 @@
+/**
+ * @class GameStorage
+ * @description Saves games in the browser's localStorage: the game in progress, so it survives a reload,
+ * and a library of saved games that can be opened again later. Also keeps the player's puzzle progress.
+ * Games are stored as plain records (see ChessGUI.createGameRecord) serialized as JSON.
+ * If localStorage is unavailable (private browsing, storage disabled or full), nothing is saved.
+ */
+export class GameStorage {
+  constructor() {
+    this.currentGameKey = "atomic-chess-current-game";
+    this.libraryKey = "atomic-chess-saved-games";
+    this.puzzleProgressKey = "atomic-chess-puzzle-progress";
+    this.maxSavedGames = 50; // the oldest saved games are dropped beyond this
+
+    try {
+      this.storage = window.localStorage;
+    } catch (error) {
+      // some browsers refuse access to localStorage instead of providing it
+      this.storage = null;
+    }
+  }
+
+  /**
+   * Reads and parses a stored value.
+   *
+   * @param {string} key - The localStorage key.
+   * @returns {*} The stored value, or null if there is none or it can't be read.
+   */
+  read(key) {
+    if (this.storage === null) return null;
+
+    try {
+      const json = this.storage.getItem(key);
+      return json === null ? null : JSON.parse(json);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Stores a value as JSON.
+   *
+   * @param {string} key - The localStorage key.
+   * @param {*} value - The value to store.
+   * @returns {boolean} True if the value was stored, false if storage is unavailable or full.
+   */
+  write(key, value) {
+    if (this.storage === null) return false;
+
+    try {
+      this.storage.setItem(key, JSON.stringify(value));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Saves the game in progress, replacing the previously saved one.
+   *
+   * @param {Object} record - The game record.
+   * @returns {boolean} True if the game was saved, false otherwise.
+   */
+  saveCurrentGame(record) {
+    return this.write(this.currentGameKey, record);
+  }
+
+  /**
+   * Returns the game that was in progress when the page was last closed.
+   *
+   * @returns {(Object|null)} The game record, or null if there is none.
+   */
+  loadCurrentGame() {
+    return this.read(this.currentGameKey);
+  }
+
+  /**
+   * Forgets the game in progress, for example when it can't be restored.
+   */
+  clearCurrentGame() {
+    if (this.storage === null) return;
+
+    try {
+      this.storage.removeItem(this.currentGameKey);
+    } catch (error) {
+      // nothing to clear
+    }
+  }
+
+  /**
+   * Returns the games in the library, most recently saved first.
+   *
+   * @returns {Object[]} The saved game records.
+   */
+  getSavedGames() {
+    const games = this.read(this.libraryKey);
+    return Array.isArray(games) ? games : [];
+  }
+
+  /**
+   * Adds a game to the library, or updates it if a game with the same id is already there.
+   *
+   * @param {Object} record - The game record, with a unique id.
+   * @returns {boolean} True if the game was saved, false otherwise.
+   */
+  saveGame(record) {
+    const games = this.getSavedGames().filter((game) => game.id !== record.id);
+    games.unshift(record);
+    return this.write(this.libraryKey, games.slice(0, this.maxSavedGames));
+  }
+
+  /**
+   * Removes a game from the library.
+   *
+   * @param {string} id - The id of the game to remove.
+   */
+  deleteSavedGame(id) {
+    const games = this.getSavedGames().filter((game) => game.id !== id);
+    this.write(this.libraryKey, games);
+  }
+
+  /**
+   * Returns the player's puzzle progress.
+   *
+   * @returns {{results: Object, streak: number, bestStreak: number}} The result of each puzzle tried, by id
+   * ("solved" or "failed"), and the current and best number of puzzles solved in a row.
+   */
+  loadPuzzleProgress() {
+    const progress = this.read(this.puzzleProgressKey);
+    if (progress === null || typeof progress.results !== "object") {
+      return { results: {}, streak: 0, bestStreak: 0 };
+    }
+    return progress;
+  }
+
+  /**
+   * Saves the player's puzzle progress.
+   *
+   * @param {Object} progress - The progress, as returned by loadPuzzleProgress.
+   * @returns {boolean} True if the progress was saved, false otherwise.
+   */
+  savePuzzleProgress(progress) {
+    return this.write(this.puzzleProgressKey, progress);
+  }
+}
@@ -0,0 +1,120 @@
+/**
+ * @class OnlineConnection
+ * @description Connects to a room on the relay server (relay-server.js) for an online game.
+ * Sends this player's moves and relays the opponent's; reconnects automatically when the connection drops,
+ * and then receives the whole game again so both sides stay in sync.
+ * Each browser tab keeps its own client id, so a reloaded tab gets its color back.
+ */
+export class OnlineConnection {
+  /**
+   * Connects to the room.
+   *
+   * @param {string} roomId - The room id from the game link.
+   * @param {Object} callbacks - How the connection reports to the game:
+   * onJoined(color, actions) with this player's color (null for spectators) and the game's actions so far,
+   * onAction(action) with the opponent's move ({type: "move", move, ply}), resignation or draw offer/acceptance,
+   * onPresence(connected) with which players are connected ({WHITE: true, BLACK: false}),
+   * and onStatus(connected) when the connection to the server is lost or restored.
+   */
+  constructor(roomId, callbacks) {
+    this.roomId = roomId;
+    this.callbacks = callbacks;
+    this.socket = null;
+    this.closed = false; // true once the player leaves the online game
+    this.retryDelay = 1000; // ms before reconnecting, doubled after each failed attempt
+    this.maxRetryDelay = 10000;
+
+    // keep the same id across reloads of this tab, so the server gives back the same color
+    const idKey = `atomic-chess-client-${roomId}`;
+    this.clientId = sessionStorage.getItem(idKey);
+    if (this.clientId === null) {
+      this.clientId = Math.random().toString(36).slice(2);
+      sessionStorage.setItem(idKey, this.clientId);
+    }
+
+    this.connect();
+  }
+
+  /**
+   * Opens the WebSocket to the relay server, on the server the page was loaded from, and joins the room.
+   */
+  connect() {
+    const protocol = location.protocol === "https:" ? "wss:" : "ws:";
+    this.socket = new WebSocket(`${protocol}//${location.host}/ws`);
+
+    this.socket.addEventListener("open", () => {
+      this.retryDelay = 1000;
+      this.send({ type: "join", room: this.roomId, clientId: this.clientId });
+      this.callbacks.onStatus(true);
+    });
+
+    this.socket.addEventListener("message", (e) => {
+      const message = JSON.parse(e.data);
+      if (message.type === "joined") {
+        this.callbacks.onJoined(message.color, message.actions);
+      } else if (message.type === "presence") {
+        this.callbacks.onPresence(message.connected);
+      } else {
+        this.callbacks.onAction(message);
+      }
+    });
+
+    this.socket.addEventListener("close", () => {
+      if (this.closed) return;
+
+      this.callbacks.onStatus(false);
+      setTimeout(() => {
+        if (!this.closed) this.connect();
+      }, this.retryDelay);
+      this.retryDelay = Math.min(this.retryDelay * 2, this.maxRetryDelay);
+    });
+  }
+
+  /**
+   * Determines if the connection to the server is open.
+   *
+   * @returns {boolean} True if messages can be sent, false otherwise.
+   */
+  isConnected() {
+    return this.socket !== null && this.socket.readyState === WebSocket.OPEN;
+  }
+
+  /**
+   * Sends a message to the server, if connected.
+   *
+   * @param {Object} message - The message to send.
+   * @returns {boolean} True if the message was sent, false if not connected.
+   */
+  send(message) {
+    if (!this.isConnected()) return false;
+
+    this.socket.send(JSON.stringify(message));
+    return true;
+  }
+
+  /**
+   * Asks the server for the whole game again, when the game here doesn't match the opponent's.
+   */
+  resync() {
+    this.send({ type: "join", room: this.roomId, clientId: this.clientId });
+  }
+
+  /**
+   * Sends this player's move.
+   *
+   * @param {string} move - The move in coordinate notation, with the promotion piece if any ("e2e4", "e7e8q").
+   * @param {number} ply - The number of moves played before it.
+   * @returns {boolean} True if the move was sent, false if not connected.
+   */
+  sendMove(move, ply) {
+    return this.send({ type: "move", move, ply });
+  }
+
+  /**
+   * Leaves the online game for good: closes the connection without reconnecting.
+   */
+  close() {
+    this.closed = true;
+    if (this.socket !== null) this.socket.close();
+  }
+}
@@ -0,0 +1,201 @@
+/**
+ * @class PieceDragger
+ * @description Lets players drag pieces to their destination with a mouse, pen or finger, using pointer events.
+ * Works alongside click-to-move: a drag only starts once the pointer has moved a few pixels,
+ * so a plain click or tap still selects the square. Illegal drops snap the piece back to its square.
+ */
+export class PieceDragger {
+  /**
+   * Listens for pointer events on the board.
+   *
+   * @param {Element} boardElement - The board element containing the ".square" elements.
+   * @param {Object} callbacks - How the dragger talks to the game:
+   * canDrag(square) returns whether the piece on a square may be dragged,
+   * onDragStart(square) is called when a drag starts,
+   * onDrop(from, to) attempts the move and returns whether it was accepted,
+   * and isAnimationEnabled() returns whether the snap back should be animated.
+   */
+  constructor(boardElement, callbacks) {
+    this.boardElement = boardElement;
+    this.callbacks = callbacks;
+    this.drag = null; // the drag in progress, if any
+    this.suppressClick = false; // true after a drag, so releasing it doesn't count as a click
+
+    this.dragThreshold = 5; // pixels the pointer must move before a drag starts
+
+    boardElement.addEventListener("pointerdown", (e) =>
+      this.handlePointerDown(e)
+    );
+    document.addEventListener("pointermove", (e) => this.handlePointerMove(e));
+    document.addEventListener("pointerup", (e) => this.handlePointerUp(e));
+    document.addEventListener("pointercancel", (e) =>
+      this.handlePointerCancel(e)
+    );
+
+    // swallow the click that follows a drag before it reaches the square
+    boardElement.addEventListener(
+      "click",
+      (e) => {
+        if (this.suppressClick) {
+          e.stopPropagation();
+          this.suppressClick = false;
+        }
+      },
+      true
+    );
+  }
+
+  /**
+   * Remembers where the pointer went down, if it is on a piece that may be dragged.
+   *
+   * @param {PointerEvent} event - The pointerdown event.
+   */
+  handlePointerDown(event) {
+    this.suppressClick = false;
+    if (event.button !== 0 || this.drag !== null) return; // main button only
+
+    const square = event.target.closest(".square");
+    if (!square || !this.callbacks.canDrag(square.dataset.square)) return;
+
+    this.drag = {
+      from: square.dataset.square,
+      sourceElement: square,
+      pointerId: event.pointerId,
+      startX: event.clientX,
+      startY: event.clientY,
+      ghost: null,
+    };
+  }
+
+  /**
+   * Starts the drag once the pointer has moved far enough, then keeps the piece under the pointer.
+   *
+   * @param {PointerEvent} event - The pointermove event.
+   */
+  handlePointerMove(event) {
+    if (this.drag === null || event.pointerId !== this.drag.pointerId) return;
+
+    if (this.drag.ghost === null) {
+      const distance = Math.hypot(
+        event.clientX - this.drag.startX,
+        event.clientY - this.drag.startY
+      );
+      if (distance < this.dragThreshold) return;
+
+      this.startDrag();
+    }
+
+    event.preventDefault();
+    this.moveGhost(event.clientX, event.clientY);
+  }
+
+  /**
+   * Drops the dragged piece on the square under the pointer.
+   * The piece snaps back to its square if the move is refused or it is dropped off the board.
+   *
+   * @param {PointerEvent} event - The pointerup event.
+   */
+  handlePointerUp(event) {
+    if (this.drag === null || event.pointerId !== this.drag.pointerId) return;
+
+    // the pointer never moved far enough, so this is a click
+    if (this.drag.ghost === null) {
+      this.drag = null;
+      return;
+    }
+
+    this.suppressClick = true;
+
+    const target = document.elementFromPoint(event.clientX, event.clientY);
+    const square = target && target.closest(".square");
+    const onBoard = square && this.boardElement.contains(square);
+
+    let accepted = false;
+    if (onBoard && square.dataset.square !== this.drag.from) {
+      accepted = this.callbacks.onDrop(this.drag.from, square.dataset.square);
+    }
+
+    if (accepted) {
+      this.finishDrag();
+    } else {
+      this.snapBack();
+    }
+  }
+
+  /**
+   * Snaps the piece back when the browser takes over the pointer (for example to scroll).
+   *
+   * @param {PointerEvent} event - The pointercancel event.
+   */
+  handlePointerCancel(event) {
+    if (this.drag === null || event.pointerId !== this.drag.pointerId) return;
+
+    if (this.drag.ghost === null) {
+      this.drag = null;
+    } else {
+      this.snapBack();
+    }
+  }
+
+  /**
+   * Lifts the piece off its square: creates a copy of it that follows the pointer, and fades the original.
+   */
+  startDrag() {
+    const source = this.drag.sourceElement;
+    const rect = source.getBoundingClientRect();
+
+    const ghost = document.createElement("div");
+    ghost.className = "drag-ghost";
+    ghost.textContent = source.textContent;
+    ghost.style.width = `${rect.width}px`;
+    ghost.style.height = `${rect.height}px`;
+    ghost.style.fontSize = getComputedStyle(source).fontSize;
+    document.body.appendChild(ghost);
+
+    this.drag.ghost = ghost;
+    source.classList.add("drag-source");
+    this.callbacks.onDragStart(this.drag.from);
+  }
+
+  /**
+   * Centers the dragged piece on the pointer.
+   *
+   * @param {number} x - The pointer's horizontal position in the viewport.
+   * @param {number} y - The pointer's vertical position in the viewport.
+   */
+  moveGhost(x, y) {
+    const ghost = this.drag.ghost;
+    ghost.style.left = `${x - ghost.offsetWidth / 2}px`;
+    ghost.style.top = `${y - ghost.offsetHeight / 2}px`;
+  }
+
+  /**
+   * Moves the dragged piece back over its square, then ends the drag.
+   */
+  snapBack() {
+    const drag = this.drag;
+    if (!this.callbacks.isAnimationEnabled()) {
+      this.finishDrag();
+      return;
+    }
+
+    const rect = drag.sourceElement.getBoundingClientRect();
+    drag.ghost.classList.add("snapping-back");
+    drag.ghost.addEventListener("transitionend", () => this.finishDrag(), {
+      once: true,
+    });
+    drag.ghost.style.left = `${rect.left}px`;
+    drag.ghost.style.top = `${rect.top}px`;
+  }
+
+  /**
+   * Removes the dragged piece and shows the original again.
+   */
+  finishDrag() {
+    if (this.drag === null) return;
+
+    this.drag.ghost.remove();
+    this.drag.sourceElement.classList.remove("drag-source");
+    this.drag = null;
+  }
+}
@@ -0,0 +1,147 @@
+/**
+ * @class PuzzleTrainer
+ * @description Runs the atomic puzzles in puzzles.json. Each puzzle is a position and its solution line
+ * in coordinate notation: the solver's moves, starting with the side to move, alternating with the defender's replies.
+ * Checks the solver's moves against the solution, hands out the defender's replies,
+ * and keeps which puzzles were solved or failed and the streak of puzzles solved in a row.
+ * A move that wins the game on the spot is always accepted, even if the solution wins another way.
+ */
+export class PuzzleTrainer {
+  /**
+   * @param {GameStorage} storage - Where the player's progress is kept.
+   * @param {string} [url="puzzles.json"] - Where the puzzles are loaded from.
+   */
+  constructor(storage, url = "puzzles.json") {
+    this.storage = storage;
+    this.url = url;
+    this.puzzles = [];
+    this.index = -1; // index of the current puzzle, -1 before the first one
+    this.step = 0; // index in the solution of the next move to play
+    this.mistake = false; // true once a wrong move was played in the current puzzle
+    this.progress = storage.loadPuzzleProgress();
+  }
+
+  /**
+   * Loads the puzzles, unless they are already loaded.
+   *
+   * @returns {Promise<Object[]>} The puzzles: {id, title, fen, solution}.
+   */
+  load() {
+    if (this.puzzles.length > 0) return Promise.resolve(this.puzzles);
+
+    return fetch(this.url)
+      .then((response) => {
+        if (!response.ok) throw new Error("The puzzles could not be loaded.");
+        return response.json();
+      })
+      .then((puzzles) => {
+        this.puzzles = puzzles;
+        return puzzles;
+      });
+  }
+
+  /**
+   * Returns the current puzzle.
+   *
+   * @returns {(Object|null)} The puzzle, or null before the first one.
+   */
+  getPuzzle() {
+    return this.puzzles[this.index] || null;
+  }
+
+  /**
+   * Returns the side that solves the current puzzle: the side to move in its position.
+   *
+   * @returns {string} "WHITE" or "BLACK".
+   */
+  getSolver() {
+    return this.getPuzzle().fen.split(" ")[1] === "w" ? "WHITE" : "BLACK";
+  }
+
+  /**
+   * Starts a puzzle from its first move.
+   *
+   * @param {number} index - The index of the puzzle.
+   * @returns {Object} The puzzle.
+   */
+  start(index) {
+    this.index = index;
+    this.step = 0;
+    this.mistake = false;
+    return this.getPuzzle();
+  }
+
+  /**
+   * Returns the puzzle to try next: the first one after the current puzzle that hasn't been solved,
+   * or the next one if every puzzle has been solved.
+   *
+   * @returns {number} The index of the puzzle.
+   */
+  getNextIndex() {
+    for (let i = 1; i <= this.puzzles.length; i++) {
+      const index = (this.index + i) % this.puzzles.length;
+      if (this.progress.results[this.puzzles[index].id] !== "solved") {
+        return index;
+      }
+    }
+    return (this.index + 1) % this.puzzles.length;
+  }
+
+  /**
+   * Checks a move of the solver against the solution.
+   * A wrong move fails the puzzle and ends the streak, but the puzzle can still be finished.
+   *
+   * @param {string} move - The move in coordinate notation ("e2e4", "e7e8q").
+   * @param {boolean} won - True if the move won the game for the solver.
+   * @returns {string} "solved" if the puzzle is finished, "correct" if the defender replies next,
+   * or "wrong" if the move is not the solution and should be taken back.
+   */
+  checkMove(move, won) {
+    const solution = this.getPuzzle().solution;
+    if (!won && move !== solution[this.step]) {
+      if (!this.mistake) this.recordResult(false);
+      this.mistake = true;
+      return "wrong";
+    }
+
+    this.step++;
+    if (won || this.step >= solution.length) {
+      if (!this.mistake) this.recordResult(true);
+      return "solved";
+    }
+    return "correct";
+  }
+
+  /**
+   * Returns the defender's reply to the solver's last move, and moves on to the solver's next move.
+   *
+   * @returns {string} The reply in coordinate notation.
+   */
+  nextReply() {
+    return this.getPuzzle().solution[this.step++];
+  }
+
+  /**
+   * Records the result of the current puzzle and updates the streak.
+   *
+   * @param {boolean} solved - True if the puzzle was solved without a mistake.
+   */
+  recordResult(solved) {
+    const progress = this.progress;
+    progress.results[this.getPuzzle().id] = solved ? "solved" : "failed";
+    progress.streak = solved ? progress.streak + 1 : 0;
+    progress.bestStreak = Math.max(progress.bestStreak, progress.streak);
+    this.storage.savePuzzleProgress(progress);
+  }
+
+  /**
+   * Counts the puzzles that have been solved.
+   *
+   * @returns {number} The number of puzzles whose last result is "solved".
+   */
+  getSolvedCount() {
+    return this.puzzles.filter(
+      (puzzle) => this.progress.results[puzzle.id] === "solved"
+    ).length;
+  }
+}
@@ -0,0 +1,268 @@
+// Relay server for online games: serves the game's files over HTTP and relays moves between
+// the two players of a room over WebSockets. Each room plays its game with ChessGame, so only legal moves
+// by the player to move are relayed, and nothing is accepted once the game is over. The room keeps
+// its actions, so a player who reconnects can catch up.
+//
+// Usage: npm start (PORT defaults to 8080), then open http://localhost:8080 in two tabs.
+import { createServer } from "node:http";
+import { readFile } from "node:fs/promises";
+import { extname, join } from "node:path";
+import { fileURLToPath } from "node:url";
+import { WebSocketServer } from "ws";
+import { ChessGame } from "./chess-game.js";
+
+const PORT = Number(process.env.PORT) || 8080;
+const ROOT = fileURLToPath(new URL(".", import.meta.url));
+const EMPTY_ROOM_LIFETIME = 30 * 60 * 1000; // ms an empty room is kept for players to come back
+const MOVE_PATTERN = /^[a-h][1-8][a-h][1-8][qrbn]?$/; // coordinate notation, as sent by OnlineConnection.sendMove
+
+const contentTypes = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+  ".ico": "image/x-icon",
+};
+
+// the files the game loads in the browser; nothing else in the folder is served
+const PUBLIC_FILES = [
+  "index.html",
+  "styles.css",
+  "favicon.ico",
+  "chess-gui.js",
+  "chess-game.js",
+  "chess-clock.js",
+  "chess-engine.js",
+  "engine-worker.js",
+  "computer-player.js",
+  "board-animator.js",
+  "piece-dragger.js",
+  "game-storage.js",
+  "online-connection.js",
+  "puzzle-trainer.js",
+  "puzzles.json",
+];
+
+// rooms by id: {id, players: {WHITE: clientId, BLACK: clientId}, game, actions: [], drawOffer, sockets: Set, deleteTimer}
+const rooms = new Map();
+
+/**
+ * Serves a file of the game. Only the files in PUBLIC_FILES are served.
+ *
+ * @param {http.IncomingMessage} request - The HTTP request.
+ * @param {http.ServerResponse} response - The HTTP response.
+ */
+async function serveFile(request, response) {
+  const { pathname } = new URL(request.url, "http://localhost");
+  const fileName = pathname === "/" ? "index.html" : pathname.slice(1);
+
+  if (!PUBLIC_FILES.includes(fileName)) {
+    response.writeHead(404).end("Not found");
+    return;
+  }
+
+  const contentType = contentTypes[extname(fileName)];
+  try {
+    const content = await readFile(join(ROOT, fileName));
+    response.writeHead(200, { "Content-Type": contentType }).end(content);
+  } catch (error) {
+    response.writeHead(404).end("Not found");
+  }
+}
+
+/**
+ * Returns a room, creating it if it doesn't exist yet.
+ *
+ * @param {string} roomId - The room id from the game link.
+ * @returns {Object} The room.
+ */
+function getRoom(roomId) {
+  if (!rooms.has(roomId)) {
+    rooms.set(roomId, {
+      id: roomId,
+      players: { WHITE: null, BLACK: null },
+      game: new ChessGame(), // the game as played so far, to check the moves
+      actions: [], // moves, resignations, draw offers and accepted draws, in order
+      drawOffer: null, // the player whose draw offer is open, if any
+      sockets: new Set(),
+      deleteTimer: null,
+    });
+  }
+  return rooms.get(roomId);
+}
+
+/**
+ * Sends a message to every client in a room, except the given one.
+ *
+ * @param {Object} room - The room.
+ * @param {Object} message - The message to send.
+ * @param {(WebSocket|null)} except - The client that should not receive it.
+ */
+function broadcast(room, message, except = null) {
+  const data = JSON.stringify(message);
+  room.sockets.forEach((socket) => {
+    if (socket !== except && socket.readyState === socket.OPEN) {
+      socket.send(data);
+    }
+  });
+}
+
+/**
+ * Tells everyone in a room which players are connected.
+ *
+ * @param {Object} room - The room.
+ */
+function sendPresence(room) {
+  const connected = { WHITE: false, BLACK: false };
+  room.sockets.forEach((socket) => {
+    if (socket.color) connected[socket.color] = true;
+  });
+  broadcast(room, { type: "presence", connected });
+}
+
+/**
+ * Adds a client to a room. A client keeps its color when it reconnects with the same client id;
+ * new clients get the first free color, or watch the game if both are taken.
+ *
+ * @param {WebSocket} socket - The client's connection.
+ * @param {{room: string, clientId: string}} message - The join message.
+ */
+function handleJoin(socket, message) {
+  const room = getRoom(message.room);
+  clearTimeout(room.deleteTimer);
+
+  let color = null;
+  if (room.players.WHITE === message.clientId) color = "WHITE";
+  else if (room.players.BLACK === message.clientId) color = "BLACK";
+  else if (room.players.WHITE === null) color = "WHITE";
+  else if (room.players.BLACK === null) color = "BLACK";
+  if (color !== null) room.players[color] = message.clientId;
+
+  socket.room = room;
+  socket.color = color;
+  room.sockets.add(socket);
+
+  socket.send(JSON.stringify({ type: "joined", color, actions: room.actions }));
+  sendPresence(room);
+}
+
+/**
+ * Sends a client the game as it stands, when its actions don't fit the game here.
+ *
+ * @param {WebSocket} socket - The client's connection.
+ */
+function sendGame(socket) {
+  socket.send(
+    JSON.stringify({
+      type: "joined",
+      color: socket.color,
+      actions: socket.room.actions,
+    })
+  );
+}
+
+/**
+ * Records a player's action and relays it to the rest of the room.
+ * Moves are only accepted from the player to move, in order, and if they are legal;
+ * the ply number they were made at must match. Once the game is over, nothing more is accepted.
+ * A draw can only be accepted while the opponent's offer is open; a move by the opponent of the offerer declines it.
+ *
+ * @param {WebSocket} socket - The client's connection.
+ * @param {Object} message - The action: {type: "move", move, ply}, {type: "resign"}, {type: "draw-offer"}
+ * or {type: "draw-accept"}. Recorded and relayed with the sender's color and the number of moves played before it.
+ */
+function handleAction(socket, message) {
+  const room = socket.room;
+  if (!room || socket.color === null) return; // spectators can only watch
+
+  const game = room.game;
+  if (game.gameState !== "UNFINISHED") return;
+
+  const ply = game.moveHistory.length; // number of moves played so far
+  if (message.type === "move") {
+    const move = String(message.move);
+    const played =
+      socket.color === game.currentPlayer &&
+      message.ply === ply &&
+      MOVE_PATTERN.test(move) &&
+      game.makeMove(move.slice(0, 2), move.slice(2, 4), move.slice(4) || "q")
+        .success;
+    if (!played) {
+      sendGame(socket); // out of sync or illegal: send the client the game as it stands
+      return;
+    }
+    if (room.drawOffer !== null && room.drawOffer !== socket.color) {
+      room.drawOffer = null;
+    }
+  } else if (message.type === "draw-offer") {
+    if (room.drawOffer !== null) return; // one offer at a time
+    room.drawOffer = socket.color;
+  } else if (message.type === "draw-accept") {
+    if (room.drawOffer === null || room.drawOffer === socket.color) {
+      sendGame(socket);
+      return;
+    }
+    game.agreeDraw();
+  } else if (message.type === "resign") {
+    game.resign(socket.color);
+  }
+
+  const action = { type: message.type, color: socket.color };
+  if (message.type === "move") action.move = message.move; // checked above
+
+  room.actions.push(action);
+  broadcast(room, { ...action, ply }, socket);
+}
+
+/**
+ * Removes a disconnected client from its room. Empty rooms are deleted after a while.
+ *
+ * @param {WebSocket} socket - The client's connection.
+ */
+function handleClose(socket) {
+  const room = socket.room;
+  if (!room) return;
+
+  room.sockets.delete(socket);
+  sendPresence(room);
+
+  if (room.sockets.size === 0) {
+    room.deleteTimer = setTimeout(
+      () => rooms.delete(room.id),
+      EMPTY_ROOM_LIFETIME
+    );
+  }
+}
+
+const server = createServer(serveFile);
+const wss = new WebSocketServer({ server, path: "/ws" });
+
+wss.on("connection", (socket) => {
+  socket.on("message", (data) => {
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch (error) {
+      return; // ignore anything that isn't JSON
+    }
+    if (message === null || typeof message !== "object") return;
+
+    if (
+      message.type === "join" &&
+      typeof message.room === "string" &&
+      typeof message.clientId === "string"
+    ) {
+      handleJoin(socket, message);
+    } else if (
+      ["move", "resign", "draw-offer", "draw-accept"].includes(message.type)
+    ) {
+      handleAction(socket, message);
+    }
+  });
+
+  socket.on("close", () => handleClose(socket));
+});
+
+server.listen(PORT, () => {
+  console.log(`Atomic Chess running at http://localhost:${PORT}`);
+});
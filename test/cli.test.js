@@ -0,0 +1,83 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import { fileURLToPath } from "node:url";
+import { ChessGame } from "../chess-game.js";
+
+const CLI = fileURLToPath(new URL("../cli.js", import.meta.url));
+
+/**
+ * Runs the command-line client with the given input piped into stdin.
+ *
+ * @param {string} input - The moves and commands.
+ * @param {string[]} [args=[]] - Extra command-line arguments.
+ * @returns {{status: number, stdout: string, stderr: string}} The exit code and output.
+ */
+function runCLI(input, args = []) {
+  return spawnSync(process.execPath, [CLI, ...args], {
+    input,
+    encoding: "utf8",
+  });
+}
+
+describe("cli", () => {
+  it("replays moves in SAN and coordinate notation, skipping move numbers", () => {
+    const { status, stdout } = runCLI("1. e4 d5 2. e4d5 Nf6 fen\n");
+
+    assert.equal(status, 0);
+    assert.match(
+      stdout,
+      /rnbqkb1r\/ppp1pppp\/5n2\/8\/8\/8\/PPPP1PPP\/RNBQKBNR w KQkq - 1 3/
+    );
+    assert.match(stdout, /WHITE to move/);
+  });
+
+  it("draws the board with the piece symbols", () => {
+    const { stdout } = runCLI("board\n");
+
+    assert.match(stdout, /8 ♜ ♞ ♝ ♛ ♚ ♝ ♞ ♜/);
+    assert.match(stdout, /4 · · · · · · · ·/);
+    assert.match(stdout, /1 ♖ ♘ ♗ ♕ ♔ ♗ ♘ ♖/);
+  });
+
+  it("supports undo, new and pgn", () => {
+    const { stdout } = runCLI("e4 e5\nundo\npgn\nnew\nfen\n");
+
+    assert.match(stdout, /1\. e4 \*/);
+    assert.match(
+      stdout,
+      /rnbqkbnr\/pppppppp\/8\/8\/8\/8\/PPPPPPPP\/RNBQKBNR w KQkq - 0 1/
+    );
+  });
+
+  it("starts from a position given with --fen", () => {
+    const { status, stdout } = runCLI("Qxg7\n", [
+      "--fen",
+      "7k/6pp/8/8/8/8/8/K5Q1 w - - 0 1",
+    ]);
+
+    assert.equal(status, 0);
+    assert.match(stdout, /Winner: WHITE \(king exploded\)/);
+  });
+
+  it("stops at the first illegal move with exit code 1", () => {
+    const { status, stdout, stderr } = runCLI("e4 e5\nKe3 d4\n");
+
+    assert.equal(status, 1);
+    assert.match(stderr, /Line 2: Ke3/);
+    assert.match(stdout, /WHITE to move/);
+  });
+
+  it("reports refused moves with the game's error messages", () => {
+    const game = new ChessGame();
+
+    assert.equal(
+      runCLI("Ke3\n").stderr.trim(),
+      `Line 1: Ke3: ${game.moveErrorMessages.UNRECOGNIZED_MOVE}`
+    );
+    assert.equal(
+      runCLI("e2e5\n").stderr.trim(),
+      `Line 1: e2e5: ${game.moveErrorMessages.INVALID_PIECE_MOVE}`
+    );
+  });
+});
@@ -0,0 +1,20 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { AtomicEngine } from "../chess-engine.js";
+
+describe("AtomicEngine", () => {
+  it("explodes the enemy king when it can", () => {
+    const engine = new AtomicEngine();
+    const move = engine.findBestMove("7k/6pp/8/8/8/8/8/K5Q1 w - - 0 1", "hard");
+
+    assert.equal(move.from, "g1");
+    assert.equal(move.to, "g7");
+    assert.ok(engine.lastScore > 0);
+  });
+
+  it("has no move when the game is over", () => {
+    const engine = new AtomicEngine();
+
+    assert.equal(engine.findBestMove("k7/8/1Q6/8/8/8/8/7K b - - 0 1"), null);
+  });
+});
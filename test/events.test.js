@@ -0,0 +1,127 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { ChessGame } from "../chess-game.js";
+import { gameFromFEN } from "./helpers.js";
+
+/**
+ * Records every event a game emits.
+ *
+ * @param {ChessGame} game - The game.
+ * @returns {Object[]} The events, in the order they were emitted.
+ */
+function recordEvents(game) {
+  const events = [];
+  for (const type of [
+    "move",
+    "explosion",
+    "turn-change",
+    "game-over",
+    "illegal-move",
+  ]) {
+    game.on(type, (event) => events.push(event));
+  }
+  return events;
+}
+
+describe("events", () => {
+  it("report a move and the turn change", () => {
+    const game = new ChessGame();
+    const events = recordEvents(game);
+    game.makeMove("e2", "e4");
+
+    assert.deepEqual(
+      events.map((event) => event.type),
+      ["move", "turn-change"]
+    );
+    assert.equal(events[0].san, "e4");
+    assert.equal(events[0].player, "WHITE");
+    assert.equal(events[0].move.to, "e4");
+    assert.equal(events[1].player, "BLACK");
+  });
+
+  it("report the pieces destroyed by an explosion", () => {
+    const game = gameFromFEN("7k/8/2p1b3/3n4/2P1r3/8/8/K2Q4 w - - 0 1");
+    const events = recordEvents(game);
+    game.makeMove("d1", "d5");
+
+    const explosion = events.find((event) => event.type === "explosion");
+    assert.equal(explosion.center, "d5");
+    assert.equal(explosion.squares.length, 9);
+    assert.deepEqual(
+      explosion.pieces.map((exploded) => exploded.square).sort(),
+      ["d5", "d5", "e4", "e6"]
+    );
+    assert.deepEqual(
+      explosion.survivingPawns.map((pawn) => pawn.square).sort(),
+      ["c4", "c6"]
+    );
+  });
+
+  it("report the end of the game instead of a turn change", () => {
+    const game = gameFromFEN("7k/6pp/8/8/8/8/8/K5Q1 w - - 0 1");
+    const events = recordEvents(game);
+    const result = game.makeMove("g1", "g7");
+
+    assert.deepEqual(
+      events.map((event) => event.type),
+      ["move", "explosion", "game-over"]
+    );
+    assert.deepEqual(events[2], {
+      type: "game-over",
+      gameState: "WHITE_WON",
+      reason: "king-exploded",
+      winner: "WHITE",
+      result: "1-0",
+      move: result.move,
+    });
+  });
+
+  it("report games that end without a move", () => {
+    const game = new ChessGame();
+    const events = recordEvents(game);
+    game.resign("BLACK");
+    game.resign("WHITE"); // already over
+
+    assert.equal(events.length, 1);
+    assert.equal(events[0].reason, "resignation");
+    assert.equal(events[0].winner, "WHITE");
+    assert.equal(events[0].move, null);
+  });
+
+  it("report refused moves", () => {
+    const game = new ChessGame();
+    const events = recordEvents(game);
+    game.makeMove("e2", "e5");
+
+    assert.equal(events.length, 1);
+    assert.equal(events[0].type, "illegal-move");
+    assert.equal(events[0].from, "e2");
+    assert.equal(events[0].to, "e5");
+    assert.match(events[0].message, /Invalid move/);
+  });
+
+  it("report the turn change of an undo", () => {
+    const game = new ChessGame();
+    game.makeMove("e2", "e4");
+    const events = recordEvents(game);
+    game.undo();
+
+    assert.deepEqual(events, [{ type: "turn-change", player: "WHITE" }]);
+  });
+
+  it("stop reaching a listener once it unsubscribes", () => {
+    const game = new ChessGame();
+    const moves = [];
+    const listener = (event) => moves.push(event.san);
+    game.on("move", listener);
+    game.makeMove("e2", "e4");
+    game.off("move", listener);
+    game.makeMove("e7", "e5");
+
+    assert.deepEqual(moves, ["e4"]);
+  });
+
+  it("reject unknown event types", () => {
+    assert.throws(() => new ChessGame().on("moved", () => {}), /moved/);
+  });
+});
@@ -0,0 +1,138 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { gameFromFEN, pieceAt } from "./helpers.js";
+
+describe("explosions", () => {
+  it("destroy the capturing piece, the captured piece and the pieces around them", () => {
+    const game = gameFromFEN("7k/8/2p1b3/3n4/2P1r3/8/8/K2Q4 w - - 0 1");
+    const result = game.makeMove("d1", "d5");
+
+    assert.equal(result.success, true);
+    for (const square of ["d1", "d5", "e6", "e4"]) {
+      assert.equal(pieceAt(game, square), null, square);
+    }
+    assert.deepEqual(
+      result.move.explodedPieces.map((exploded) => exploded.square).sort(),
+      ["d5", "d5", "e4", "e6"] // the queen and the knight both explode on d5
+    );
+  });
+
+  it("spare pawns next to the capture", () => {
+    const game = gameFromFEN("7k/8/2p1b3/3n4/2P1r3/8/8/K2Q4 w - - 0 1");
+    const result = game.makeMove("d1", "d5");
+
+    assert.equal(pieceAt(game, "c6"), "p");
+    assert.equal(pieceAt(game, "c4"), "P");
+    assert.deepEqual(
+      result.move.survivingPawns.map((pawn) => pawn.square).sort(),
+      ["c4", "c6"]
+    );
+  });
+
+  it("destroy a pawn that is captured", () => {
+    const game = gameFromFEN("4k3/8/8/3p4/8/8/8/3QK3 w - - 0 1");
+    game.makeMove("d1", "d5");
+
+    assert.equal(pieceAt(game, "d5"), null);
+  });
+
+  it("destroy a pawn that captures", () => {
+    const game = gameFromFEN("4k3/8/8/3n4/4P3/8/8/4K3 w - - 0 1");
+    game.makeMove("e4", "d5");
+
+    assert.equal(pieceAt(game, "d5"), null);
+    assert.equal(pieceAt(game, "e4"), null);
+  });
+
+  it("are centered on the destination square of an en passant capture", () => {
+    const game = gameFromFEN("4k3/2n5/8/3pP3/2b5/8/8/4K3 w - d6 0 1");
+    const result = game.makeMove("e5", "d6");
+
+    assert.equal(result.success, true);
+    assert.equal(result.move.isEnPassant, true);
+    assert.equal(pieceAt(game, "d5"), null); // captured pawn
+    assert.equal(pieceAt(game, "d6"), null);
+    assert.equal(pieceAt(game, "c7"), null); // next to d6
+    assert.equal(pieceAt(game, "c4"), "b"); // next to d5 only
+  });
+
+  it("destroy a pawn that captures and promotes", () => {
+    const game = gameFromFEN("3r3k/4P3/8/8/8/8/8/4K3 w - - 0 1");
+    const result = game.makeMove("e7", "d8", "q");
+
+    assert.equal(result.success, true);
+    assert.equal(pieceAt(game, "d8"), null);
+    assert.equal(pieceAt(game, "e7"), null);
+  });
+
+  it("take away the castling rights of an exploded rook", () => {
+    const game = gameFromFEN("r3k2r/8/8/8/8/8/8/R3K2R w KQkq - 0 1");
+    game.makeMove("a1", "a8");
+
+    assert.equal(pieceAt(game, "a8"), null);
+    assert.equal(game.getFEN().split(" ")[2], "Kk");
+  });
+
+  it("win the game when they destroy the enemy king", () => {
+    const game = gameFromFEN("7k/6pp/8/8/8/8/8/K5Q1 w - - 0 1");
+    const result = game.makeMove("g1", "g7");
+
+    assert.equal(result.success, true);
+    assert.equal(pieceAt(game, "h8"), null);
+    assert.equal(pieceAt(game, "h7"), "p");
+    assert.equal(game.gameState, "WHITE_WON");
+    assert.equal(game.getWinner(), "WHITE");
+    assert.equal(game.moveHistory.at(-1).san, "Qxg7#");
+  });
+
+  it("may destroy the enemy king even when the player's own king is in check", () => {
+    const game = gameFromFEN("r6k/6pp/8/8/8/8/8/K5Q1 w - - 0 1");
+    assert.equal(game.isInCheck("WHITE"), true);
+
+    const result = game.makeMove("g1", "g7");
+    assert.equal(result.success, true);
+    assert.equal(game.gameState, "WHITE_WON");
+  });
+
+  it("may not destroy the player's own king", () => {
+    const game = gameFromFEN("4k3/8/8/8/8/8/3n4/3QK3 w - - 0 1");
+    const result = game.makeMove("d1", "d2");
+
+    assert.equal(result.success, false);
+    assert.match(result.message, /your own king/);
+    assert.equal(pieceAt(game, "d2"), "n");
+  });
+
+  it("may not destroy both kings", () => {
+    const game = gameFromFEN("4R3/8/8/8/8/5k2/4n3/4K3 w - - 0 1");
+    const result = game.makeMove("e8", "e2");
+
+    assert.equal(result.success, false);
+    assert.match(result.message, /both kings/);
+  });
+});
+
+describe("kings", () => {
+  it("cannot capture", () => {
+    const game = gameFromFEN("k7/8/8/8/8/8/3p4/4K3 w - - 0 1");
+    const result = game.makeMove("e1", "d2");
+
+    assert.equal(result.success, false);
+    assert.equal(pieceAt(game, "e1"), "K");
+    assert.equal(pieceAt(game, "d2"), "p");
+  });
+
+  it("are not in check while they touch", () => {
+    const game = gameFromFEN("8/8/8/8/8/3kK3/8/4q3 w - - 0 1");
+
+    assert.equal(game.isInCheck("WHITE"), false);
+  });
+
+  it("are in check again when they stop touching", () => {
+    const game = gameFromFEN("8/8/8/8/8/3kK3/8/4q3 w - - 0 1");
+    const result = game.makeMove("e3", "f2");
+
+    assert.equal(result.success, false);
+    assert.match(result.message, /in check/);
+  });
+});
@@ -0,0 +1,90 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { ChessGame } from "../chess-game.js";
+import { gameFromFEN } from "./helpers.js";
+
+/**
+ * Plays a list of moves in coordinate notation ("g1f3").
+ *
+ * @param {ChessGame} game - The game.
+ * @param {string[]} moves - The moves.
+ */
+function play(game, moves) {
+  for (const move of moves) {
+    const result = game.makeMove(move.slice(0, 2), move.slice(2, 4));
+    assert.equal(result.success, true, `${move}: ${result.message}`);
+  }
+}
+
+describe("game end", () => {
+  it("is checkmate when the player in check has no legal moves", () => {
+    const game = gameFromFEN("6k1/5ppp/8/8/8/8/8/R3K3 w - - 0 1");
+    play(game, ["a1a8"]);
+
+    assert.equal(game.gameState, "WHITE_WON_BY_CHECKMATE");
+    assert.equal(game.getResult(), "1-0");
+    assert.equal(game.moveHistory[0].san, "Ra8#");
+  });
+
+  it("is stalemate when the player to move has no legal moves and is not in check", () => {
+    const game = gameFromFEN("k7/8/1Q6/8/8/8/8/7K b - - 0 1");
+
+    assert.equal(game.gameState, "STALEMATE");
+    assert.equal(game.getResult(), "1/2-1/2");
+  });
+
+  it("is a draw when a position occurs for the third time", () => {
+    const game = new ChessGame();
+    play(game, ["g1f3", "g8f6", "f3g1", "f6g8", "g1f3", "g8f6", "f3g1"]);
+    assert.equal(game.gameState, "UNFINISHED");
+
+    play(game, ["f6g8"]);
+    assert.equal(game.gameState, "DRAW_BY_THREEFOLD_REPETITION");
+  });
+
+  it("is a draw after fifty moves by each player without a capture or pawn move", () => {
+    const game = gameFromFEN("4k3/8/8/8/8/8/8/R3K3 w - - 99 80");
+    play(game, ["a1a2"]);
+
+    assert.equal(game.gameState, "DRAW_BY_FIFTY_MOVE_RULE");
+  });
+
+  it("is a draw when neither king can be exploded anymore", () => {
+    assert.equal(
+      gameFromFEN("4k3/8/8/8/8/8/8/4K3 w - - 0 1").gameState,
+      "DRAW_BY_INSUFFICIENT_MATERIAL"
+    );
+    assert.equal(
+      gameFromFEN("4k3/8/8/8/8/8/8/4KN2 w - - 0 1").gameState,
+      "DRAW_BY_INSUFFICIENT_MATERIAL"
+    );
+    assert.equal(
+      gameFromFEN("4k3/8/8/8/8/8/8/4KR2 w - - 0 1").gameState,
+      "UNFINISHED"
+    );
+  });
+
+  it("can come from a resignation, a draw agreement or running out of time", () => {
+    const resigned = new ChessGame();
+    assert.equal(resigned.resign("WHITE"), true);
+    assert.equal(resigned.gameState, "BLACK_WON_BY_RESIGNATION");
+
+    const drawn = new ChessGame();
+    assert.equal(drawn.agreeDraw(), true);
+    assert.equal(drawn.gameState, "DRAW_BY_AGREEMENT");
+
+    const flagged = new ChessGame();
+    assert.equal(flagged.loseOnTime("BLACK"), true);
+    assert.equal(flagged.gameState, "WHITE_WON_ON_TIME");
+    assert.equal(flagged.resign("WHITE"), false); // already finished
+  });
+
+  it("allows no more moves", () => {
+    const game = new ChessGame();
+    game.resign("BLACK");
+    const result = game.makeMove("e2", "e4");
+
+    assert.equal(result.success, false);
+    assert.match(result.message, /finished/);
+  });
+});
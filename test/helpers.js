@@ -0,0 +1,58 @@
+// Shared helpers for the rules tests.
+import { ChessGame } from "../chess-game.js";
+
+/**
+ * Creates a game set up at the given position.
+ *
+ * @param {string} fen - The position in FEN.
+ * @param {Object} [rules={}] - The rules to play by (see ChessGame.setRules).
+ * @returns {ChessGame} The game.
+ */
+export function gameFromFEN(fen, rules = {}) {
+  const game = new ChessGame(rules);
+  game.loadFEN(fen);
+  return game;
+}
+
+/**
+ * Returns the piece on a square as its FEN letter, which makes assertions easier to read.
+ *
+ * @param {ChessGame} game - The game.
+ * @param {string} square - The square in chess notation ("e4").
+ * @returns {(string|null)} The piece letter ("P" for a white pawn, "k" for the black king), or null if the square is empty.
+ */
+export function pieceAt(game, square) {
+  const { row, col } = game.chessNotationToCoords(square);
+  const piece = game.getPieceAt(row, col);
+  return piece === game.EMPTY ? null : game.pieceLetters[piece];
+}
+
+/**
+ * Counts the leaf nodes of the legal move tree to the given depth (perft).
+ * A move that explodes a king ends the game, so no moves are counted after it.
+ *
+ * @param {ChessGame} game - The game, positioned at the root.
+ * @param {number} depth - The depth in plies.
+ * @returns {number} The number of leaf nodes.
+ */
+export function perft(game, depth) {
+  if (depth === 0) return 1;
+
+  const moves = game.getLegalMoves();
+  if (depth === 1) return moves.length;
+
+  let nodes = 0;
+  for (const move of moves) {
+    const snapshot = game.getStateSnapshot();
+    game.applyMove(move);
+    game.updateCastlingAndEnPassant(move);
+    game.currentPlayer = game.currentPlayer === "WHITE" ? "BLACK" : "WHITE";
+
+    const kingExploded =
+      game.findKing("WHITE") === null || game.findKing("BLACK") === null;
+    nodes += kingExploded ? 0 : perft(game, depth - 1);
+
+    game.restoreStateSnapshot(snapshot);
+  }
+  return nodes;
+}
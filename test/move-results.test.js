@@ -0,0 +1,146 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { ChessGame } from "../chess-game.js";
+import { gameFromFEN } from "./helpers.js";
+
+describe("makeMove results", () => {
+  it("describe a move that was played", () => {
+    const game = gameFromFEN("7k/8/2p1b3/3n4/2P1r3/8/8/K2Q4 w - - 0 1");
+    const result = game.makeMove("d1", "d5");
+
+    assert.equal(result.success, true);
+    assert.equal(result.code, null);
+    assert.equal(result.san, "Qxd5");
+    assert.equal(result.piece, game.WQ);
+    assert.equal(result.capturedPiece, game.BH);
+    assert.deepEqual(result.explodedSquares.sort(), ["d5", "e4", "e6"]);
+    assert.equal(result.gameState, "UNFINISHED");
+  });
+
+  it("include the game state after the move", () => {
+    const game = gameFromFEN("7k/6pp/8/8/8/8/8/K5Q1 w - - 0 1");
+
+    assert.equal(game.makeMove("g1", "g7").gameState, "WHITE_WON");
+  });
+
+  it("list both the captured pawn and the explosion center of an en passant capture", () => {
+    const game = gameFromFEN("4k3/2n5/8/3pP3/2b5/8/8/4K3 w - d6 0 1");
+    const result = game.makeMove("e5", "d6");
+
+    assert.deepEqual(result.explodedSquares.sort(), ["c7", "d5", "d6"]);
+  });
+
+  const refusals = [
+    ["malformed notation", null, "z9", "e4", "INVALID_NOTATION"],
+    ["a square off the board", null, "e2", "e9", "INVALID_NOTATION"],
+    ["a missing square", null, "e2", undefined, "INVALID_NOTATION"],
+    ["an empty square", null, "e4", "e5", "EMPTY_SQUARE"],
+    ["the opponent's piece", null, "e7", "e5", "WRONG_TURN"],
+    [
+      "a capture of the player's own piece",
+      null,
+      "d1",
+      "d2",
+      "OWN_PIECE_CAPTURE",
+    ],
+    ["a blocked path", null, "f1", "c4", "BLOCKED_PATH"],
+    [
+      "a pawn advancing onto a piece",
+      "4k3/8/8/8/8/4n3/4P3/4K3 w - - 0 1",
+      "e2",
+      "e3",
+      "BLOCKED_PATH",
+    ],
+    [
+      "a pawn jumping over a piece",
+      "4k3/8/8/8/8/4n3/4P3/4K3 w - - 0 1",
+      "e2",
+      "e4",
+      "BLOCKED_PATH",
+    ],
+    ["a move the piece can't make", null, "g1", "g3", "INVALID_PIECE_MOVE"],
+    [
+      "a king capture",
+      "k7/8/8/8/8/8/3p4/4K3 w - - 0 1",
+      "e1",
+      "d2",
+      "KING_CAPTURE",
+    ],
+    [
+      "castling without the right",
+      "4k3/8/8/8/8/8/8/4K2R w - - 0 1",
+      "e1",
+      "g1",
+      "CASTLING_NOT_ALLOWED",
+    ],
+    [
+      "an unknown promotion piece",
+      "8/4P3/8/8/8/8/k7/4K3 w - - 0 1",
+      "e7",
+      "e8",
+      "INVALID_PROMOTION",
+      "k",
+    ],
+    [
+      "a capture exploding the player's king",
+      "4k3/8/8/8/8/8/3n4/3QK3 w - - 0 1",
+      "d1",
+      "d2",
+      "EXPLODES_OWN_KING",
+    ],
+    [
+      "a capture exploding both kings",
+      "4R3/8/8/8/8/5k2/4n3/4K3 w - - 0 1",
+      "e8",
+      "e2",
+      "EXPLODES_BOTH_KINGS",
+    ],
+    [
+      "a move leaving the king in check",
+      "4k3/4r3/8/8/8/8/4B3/4K3 w - - 0 1",
+      "e2",
+      "d3",
+      "KING_IN_CHECK",
+    ],
+  ];
+
+  for (const [name, fen, from, to, code, promotion] of refusals) {
+    it(`refuse ${name} with ${code}`, () => {
+      const game = fen === null ? new ChessGame() : gameFromFEN(fen);
+      const before = game.getFEN();
+      const result = game.makeMove(from, to, promotion);
+
+      assert.equal(result.success, false);
+      assert.equal(result.code, code);
+      assert.equal(result.message, game.moveErrorMessages[code]);
+      assert.equal(game.getFEN(), before);
+    });
+  }
+
+  it("ignore the promotion piece of moves that don't promote", () => {
+    const game = new ChessGame();
+    const parsed = game.parseMove("e2e4");
+
+    assert.equal(parsed.promotion, null);
+    assert.equal(
+      game.makeMove(parsed.from, parsed.to, parsed.promotion).success,
+      true
+    );
+    assert.equal(game.makeMove("e7", "e5", "k").success, true);
+  });
+
+  it("promote to a queen when the promotion piece is null", () => {
+    const game = gameFromFEN("8/4P3/8/8/8/8/k7/4K3 w - - 0 1");
+    const result = game.makeMove("e7", "e8", null);
+
+    assert.equal(result.success, true);
+    assert.equal(result.san, "e8=Q");
+  });
+
+  it("refuse any move once the game is over with GAME_OVER", () => {
+    const game = new ChessGame();
+    game.agreeDraw();
+
+    assert.equal(game.makeMove("e2", "e4").code, "GAME_OVER");
+  });
+});
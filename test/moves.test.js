@@ -0,0 +1,113 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { ChessGame } from "../chess-game.js";
+import { gameFromFEN, pieceAt } from "./helpers.js";
+
+describe("moves", () => {
+  it("start with white's 20 legal moves", () => {
+    const game = new ChessGame();
+
+    assert.equal(game.currentPlayer, "WHITE");
+    assert.equal(game.getLegalMoves().length, 20);
+  });
+
+  it("alternate between the players", () => {
+    const game = new ChessGame();
+
+    assert.equal(game.makeMove("e2", "e4").success, true);
+    assert.equal(game.currentPlayer, "BLACK");
+    assert.equal(game.makeMove("d2", "d4").success, false);
+    assert.equal(game.makeMove("e7", "e5").success, true);
+  });
+
+  it("follow the chess rules for each piece", () => {
+    const game = new ChessGame();
+
+    assert.equal(game.makeMove("e2", "e5").success, false);
+    assert.equal(game.makeMove("f1", "c4").success, false); // blocked by the pawn
+    assert.equal(game.makeMove("g1", "f3").success, true);
+  });
+
+  it("may not leave the player's king in check", () => {
+    const game = gameFromFEN("4k3/4r3/8/8/8/8/4B3/4K3 w - - 0 1");
+    const result = game.makeMove("e2", "d3");
+
+    assert.equal(result.success, false);
+    assert.match(result.message, /in check/);
+  });
+
+  it("include castling on both sides", () => {
+    const game = gameFromFEN("r3k2r/8/8/8/8/8/8/R3K2R w KQkq - 0 1");
+    game.makeMove("e1", "g1");
+    game.makeMove("e8", "c8");
+
+    assert.equal(pieceAt(game, "g1"), "K");
+    assert.equal(pieceAt(game, "f1"), "R");
+    assert.equal(pieceAt(game, "c8"), "k");
+    assert.equal(pieceAt(game, "d8"), "r");
+    assert.equal(game.getFEN().split(" ")[2], "-");
+  });
+
+  it("do not castle through an attacked square", () => {
+    const game = gameFromFEN("4kr2/8/8/8/8/8/8/4K2R w K - 0 1");
+    const result = game.makeMove("e1", "g1");
+
+    assert.equal(result.success, false);
+    assert.equal(result.code, "CASTLING_NOT_ALLOWED");
+  });
+
+  it("do not castle out of check", () => {
+    const game = gameFromFEN("4r1k1/8/8/8/8/8/8/R3K3 w Q - 0 1");
+
+    assert.equal(game.isInCheck(), true);
+    assert.equal(game.makeMove("e1", "c1").code, "CASTLING_NOT_ALLOWED");
+  });
+
+  it("promote pawns to the chosen piece", () => {
+    const game = gameFromFEN("8/4P3/8/8/8/8/k7/4K3 w - - 0 1");
+    const result = game.makeMove("e7", "e8", "n");
+
+    assert.equal(result.success, true);
+    assert.equal(pieceAt(game, "e8"), "N");
+    assert.equal(game.moveHistory[0].san, "e8=N");
+  });
+
+  it("reject an unknown promotion piece", () => {
+    const game = gameFromFEN("8/4P3/8/8/8/8/k7/4K3 w - - 0 1");
+
+    assert.equal(game.makeMove("e7", "e8", "k").success, false);
+    assert.equal(pieceAt(game, "e7"), "P");
+  });
+
+  it("allow en passant only right after the double step", () => {
+    const game = gameFromFEN("4k3/3p4/8/4P3/8/8/8/4K3 b - - 0 1");
+    game.makeMove("d7", "d5");
+    assert.equal(game.enPassantSquare, "d6");
+
+    game.makeMove("e1", "f1");
+    game.makeMove("e8", "f8");
+    assert.equal(game.makeMove("e5", "d6").success, false);
+  });
+
+  it("allow en passant only for a pawn of the player to move, past an enemy pawn", () => {
+    const game = gameFromFEN("4k3/3p4/8/4pP2/8/8/8/4K3 w - e6 0 1");
+
+    assert.equal(game.isValidChessMove(game.WP, 5, 3, 4, 2), true); // fxe6
+    assert.equal(game.isValidChessMove(game.BP, 3, 1, 4, 2), false); // dxe6 by the wrong side
+
+    game.board[3][4] = game.EMPTY; // no pawn behind e6 anymore
+    assert.equal(game.isValidChessMove(game.WP, 5, 3, 4, 2), false);
+  });
+
+  it("can be undone and redone", () => {
+    const game = new ChessGame();
+    game.makeMove("e2", "e4");
+    const fen = game.getFEN();
+
+    assert.equal(game.undo(), true);
+    assert.equal(game.getFEN(), new ChessGame().getFEN());
+    assert.equal(game.redo(), true);
+    assert.equal(game.getFEN(), fen);
+    assert.equal(game.undo() && game.undo(), false);
+  });
+});
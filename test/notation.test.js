@@ -0,0 +1,169 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { ChessGame } from "../chess-game.js";
+import { gameFromFEN } from "./helpers.js";
+
+const START_FEN = "rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1";
+
+describe("FEN", () => {
+  it("describes the starting position", () => {
+    assert.equal(new ChessGame().getFEN(), START_FEN);
+  });
+
+  it("is updated after each move", () => {
+    const game = new ChessGame();
+    game.makeMove("e2", "e4");
+
+    assert.equal(
+      game.getFEN(),
+      "rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq e3 0 1"
+    );
+  });
+
+  it("loads the positions it exports", () => {
+    const fens = [
+      "r3k2r/8/8/8/8/8/8/R3K2R w KQkq - 0 1",
+      "4k3/2n5/8/3pP3/2b5/8/8/4K3 w - d6 0 1",
+      "7k/6pp/8/8/8/8/8/K5Q1 b - - 12 40",
+    ];
+    for (const fen of fens) {
+      assert.equal(gameFromFEN(fen).getFEN(), fen);
+    }
+  });
+
+  it("rejects invalid positions without changing the game", () => {
+    const game = new ChessGame();
+    game.makeMove("e2", "e4");
+    const fen = game.getFEN();
+
+    assert.throws(() => game.loadFEN("not a fen"), /4 or 6 fields/);
+    assert.throws(() => game.loadFEN("8/8/8/8/8/8/8/8 w - - 0 1")); // no kings
+    assert.equal(game.getFEN(), fen);
+  });
+
+  it("explains why a set-up position is illegal", () => {
+    const game = new ChessGame();
+
+    assert.throws(
+      () => game.loadFEN("4k3/8/8/8/8/8/8/3KK3 w - - 0 1"),
+      /White must have exactly one king/
+    );
+    assert.throws(
+      () => game.loadFEN("4k3/8/8/8/8/8/8/P3K3 w - - 0 1"),
+      /Pawns cannot be on the first or last rank/
+    );
+    assert.throws(
+      () => game.loadFEN("4k3/8/8/8/8/8/8/4K3 w K - 0 1"),
+      /WHITE cannot castle kingside/
+    );
+    assert.throws(
+      () => game.loadFEN("4r1k1/8/8/8/8/8/8/4K3 b - - 0 1"),
+      /WHITE is in check, but it is BLACK's turn/
+    );
+  });
+});
+
+describe("SAN", () => {
+  it("names the moving piece's file or rank when two pieces can reach the same square", () => {
+    const game = gameFromFEN("4k3/8/8/8/8/8/4K3/R6R w - - 0 1");
+    const move = game.findMoveBySAN("Rad1");
+
+    assert.equal(move.from, "a1");
+    assert.equal(game.getMoveSAN(move), "Rad1");
+    assert.equal(game.findMoveBySAN("Rd1"), null); // ambiguous
+  });
+
+  it("writes castling with O's and accepts zeros", () => {
+    const game = gameFromFEN("r3k2r/8/8/8/8/8/8/R3K2R w KQkq - 0 1");
+
+    assert.equal(game.findMoveBySAN("0-0").castling, "kingSide");
+    assert.equal(game.getMoveSAN(game.findMoveBySAN("O-O-O")), "O-O-O");
+  });
+});
+
+describe("PGN", () => {
+  it("exports the moves and the Atomic variant", () => {
+    const game = new ChessGame();
+    game.makeMove("e2", "e4");
+    game.makeMove("d7", "d5");
+    game.makeMove("e4", "d5");
+    const pgn = game.exportPGN({ White: "Alice", Black: "Bob" });
+
+    assert.match(pgn, /\[Variant "Atomic"\]/);
+    assert.match(pgn, /\[White "Alice"\]/);
+    assert.match(pgn, /1\. e4 d5 2\. exd5 \*/);
+  });
+
+  it("replays the games it exports", () => {
+    const game = new ChessGame();
+    for (const [from, to] of [
+      ["e2", "e4"],
+      ["d7", "d5"],
+      ["e4", "d5"],
+      ["d8", "d2"],
+    ]) {
+      game.makeMove(from, to);
+    }
+
+    const loaded = new ChessGame();
+    loaded.loadPGN(game.exportPGN());
+
+    assert.equal(loaded.getFEN(), game.getFEN());
+    assert.equal(loaded.gameState, game.gameState);
+    assert.deepEqual(
+      loaded.moveHistory.map((entry) => entry.san),
+      game.moveHistory.map((entry) => entry.san)
+    );
+  });
+
+  it("keeps the starting position of games set up from a FEN", () => {
+    const fen = "7k/6pp/8/8/8/8/8/K5Q1 w - - 0 1";
+    const game = gameFromFEN(fen);
+    game.makeMove("g1", "g7");
+
+    const loaded = new ChessGame();
+    loaded.loadPGN(game.exportPGN());
+    assert.equal(loaded.gameState, "WHITE_WON");
+    assert.equal(loaded.startFEN, fen);
+  });
+
+  it("rejects illegal moves and other variants without changing the game", () => {
+    const game = new ChessGame();
+
+    assert.throws(() => game.loadPGN("1. e4 e5 2. Ke3"), /Ke3/);
+    assert.throws(
+      () => game.loadPGN('[Variant "Crazyhouse"]\n\n1. e4 *'),
+      /Crazyhouse/
+    );
+    assert.equal(game.getFEN(), START_FEN);
+  });
+});
+
+describe("typed moves", () => {
+  it("reads coordinate notation, with or without a promotion piece", () => {
+    const game = new ChessGame();
+
+    assert.deepEqual(game.parseMove("e2e4"), {
+      from: "e2",
+      to: "e4",
+      promotion: null,
+    });
+    assert.deepEqual(game.parseMove(" E7-E8=N "), {
+      from: "e7",
+      to: "e8",
+      promotion: "n",
+    });
+  });
+
+  it("reads SAN for legal moves only", () => {
+    const game = new ChessGame();
+
+    assert.deepEqual(game.parseMove("Nf3"), {
+      from: "g1",
+      to: "f3",
+      promotion: null,
+    });
+    assert.equal(game.parseMove("Nf4"), null);
+    assert.equal(game.parseMove("hello"), null);
+  });
+});
@@ -0,0 +1,16 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { ChessGame } from "../chess-game.js";
+import { perft } from "./helpers.js";
+
+// reference counts for atomic chess from the starting position
+const expected = [20, 400, 8902, 197326];
+
+describe("perft", () => {
+  expected.forEach((nodes, index) => {
+    const depth = index + 1;
+    it(`counts ${nodes} positions at depth ${depth}`, () => {
+      assert.equal(perft(new ChessGame(), depth), nodes);
+    });
+  });
+});
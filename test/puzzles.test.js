@@ -0,0 +1,192 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { GameStorage } from "../game-storage.js";
+import { PuzzleTrainer } from "../puzzle-trainer.js";
+import { gameFromFEN } from "./helpers.js";
+
+const puzzles = JSON.parse(
+  readFileSync(new URL("../puzzles.json", import.meta.url), "utf8")
+);
+
+/**
+ * Creates a trainer with the bundled puzzles. Outside the browser there is no localStorage,
+ * so the progress is only kept in memory.
+ *
+ * @returns {PuzzleTrainer} The trainer.
+ */
+function createTrainer() {
+  const trainer = new PuzzleTrainer(new GameStorage());
+  trainer.puzzles = puzzles;
+  return trainer;
+}
+
+/**
+ * Lists the moves that win the game on the spot for the side to move.
+ *
+ * @param {ChessGame} game - The game.
+ * @returns {Object[]} The winning moves.
+ */
+function immediateWins(game) {
+  const player = game.currentPlayer;
+  return game.getLegalMoves().filter((move) => {
+    game.executeMove(move);
+    const won = game.getWinner() === player;
+    game.undo();
+    return won;
+  });
+}
+
+/**
+ * Determines if the side to move can force a win within the given number of its own moves, whatever the defence.
+ *
+ * @param {ChessGame} game - The game, with the solver to move.
+ * @param {number} moves - The number of moves the solver has left.
+ * @returns {boolean} True if the solver can force a win.
+ */
+function canForceWin(game, moves) {
+  const solver = game.currentPlayer;
+  if (immediateWins(game).length > 0) return true;
+  if (moves === 1) return false;
+
+  return game.getLegalMoves().some((move) => {
+    game.executeMove(move);
+    const forced = winsAgainstEveryReply(game, solver, moves - 1);
+    game.undo();
+    return forced;
+  });
+}
+
+/**
+ * Determines if the solver wins within the given number of moves against every reply of the defender, who is to move.
+ *
+ * @param {ChessGame} game - The game, with the defender to move.
+ * @param {string} solver - The solver's color.
+ * @param {number} moves - The number of moves the solver has left after the reply.
+ * @returns {boolean} True if no reply saves the defender (stalemate doesn't count as a win).
+ */
+function winsAgainstEveryReply(game, solver, moves) {
+  if (game.gameState !== "UNFINISHED") return game.getWinner() === solver;
+
+  return game.getLegalMoves().every((reply) => {
+    game.executeMove(reply);
+    const won =
+      game.gameState === "UNFINISHED"
+        ? canForceWin(game, moves)
+        : game.getWinner() === solver;
+    game.undo();
+    return won;
+  });
+}
+
+describe("puzzle set", () => {
+  it("has unique ids", () => {
+    const ids = puzzles.map((puzzle) => puzzle.id);
+    assert.equal(new Set(ids).size, ids.length);
+  });
+
+  for (const puzzle of puzzles) {
+    it(`${puzzle.id}: the solution is legal and wins`, () => {
+      const game = gameFromFEN(puzzle.fen);
+      const solver = game.currentPlayer;
+
+      puzzle.solution.forEach((move, i) => {
+        const last = i === puzzle.solution.length - 1;
+        // the trainer accepts any move that wins on the spot, so only the last move may do so
+        if (i % 2 === 0 && !last) {
+          assert.deepEqual(immediateWins(game), [], `before ${move}`);
+        }
+
+        const result = game.makeMove(
+          move.slice(0, 2),
+          move.slice(2, 4),
+          move[4]
+        );
+        assert.ok(result.success, `${move}: ${result.message}`);
+      });
+
+      assert.equal(game.getWinner(), solver);
+    });
+
+    // the app always plays the defender's reply from the solution, but each solver move must win against any reply,
+    // and be the only move that does: other moves are marked wrong, unless they win on the spot
+    it(`${puzzle.id}: each solver move forces the win against every defence, and no other move does`, () => {
+      const game = gameFromFEN(puzzle.fen);
+      const solver = game.currentPlayer;
+
+      for (let i = 0; i < puzzle.solution.length; i += 2) {
+        const movesLeft = (puzzle.solution.length - i + 1) / 2;
+        if (movesLeft > 1) {
+          const forcing = game.getLegalMoves().filter((move) => {
+            game.executeMove(move);
+            const forced = winsAgainstEveryReply(game, solver, movesLeft - 1);
+            game.undo();
+            return forced;
+          });
+          assert.deepEqual(
+            forcing.map((move) => move.from + move.to + (move.promotion || "")),
+            [puzzle.solution[i]]
+          );
+        }
+
+        puzzle.solution.slice(i, i + 2).forEach((move) => {
+          game.makeMove(move.slice(0, 2), move.slice(2, 4), move[4]);
+        });
+      }
+    });
+  }
+});
+
+describe("PuzzleTrainer", () => {
+  it("plays through a solution, giving the defender's replies", () => {
+    const trainer = createTrainer();
+    const index = puzzles.findIndex((puzzle) => puzzle.solution.length === 5);
+    const { solution } = trainer.start(index);
+
+    assert.equal(trainer.checkMove(solution[0], false), "correct");
+    assert.equal(trainer.nextReply(), solution[1]);
+    assert.equal(trainer.checkMove(solution[2], false), "correct");
+    assert.equal(trainer.nextReply(), solution[3]);
+    assert.equal(trainer.checkMove(solution[4], true), "solved");
+    assert.equal(trainer.progress.results[puzzles[index].id], "solved");
+    assert.equal(trainer.progress.streak, 1);
+  });
+
+  it("accepts a different move that wins on the spot", () => {
+    const trainer = createTrainer();
+    trainer.start(0);
+
+    assert.equal(trainer.checkMove("a1a2", true), "solved");
+  });
+
+  it("fails the puzzle on a wrong move and ends the streak", () => {
+    const trainer = createTrainer();
+    trainer.start(0);
+    trainer.checkMove(puzzles[0].solution[0], true);
+
+    trainer.start(1);
+    assert.equal(trainer.checkMove("a1a2", false), "wrong");
+    assert.equal(trainer.progress.results[puzzles[1].id], "failed");
+    assert.equal(trainer.progress.streak, 0);
+    assert.equal(trainer.progress.bestStreak, 1);
+
+    // finishing it after the mistake doesn't count as solved
+    assert.equal(trainer.checkMove(puzzles[1].solution[0], true), "solved");
+    assert.equal(trainer.progress.results[puzzles[1].id], "failed");
+    assert.equal(trainer.getSolvedCount(), 1);
+  });
+
+  it("moves on to the next unsolved puzzle", () => {
+    const trainer = createTrainer();
+    trainer.start(0);
+    trainer.checkMove(puzzles[0].solution[0], true);
+    trainer.progress.results[puzzles[1].id] = "solved";
+
+    assert.equal(trainer.getNextIndex(), 2);
+    assert.equal(trainer.start(2).id, puzzles[2].id);
+    assert.equal(
+      trainer.getSolver(),
+      puzzles[2].fen.includes(" w ") ? "WHITE" : "BLACK"
+    );
+  });
+});
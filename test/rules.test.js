@@ -0,0 +1,168 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { ChessGame } from "../chess-game.js";
+import { gameFromFEN, pieceAt } from "./helpers.js";
+
+describe("house rules", () => {
+  it("default to standard atomic chess", () => {
+    const game = new ChessGame();
+
+    assert.deepEqual(game.rules, {
+      blastRadius: 1,
+      pawnsImmune: true,
+      chess960: false,
+    });
+  });
+
+  it("refuse unknown rules and invalid values", () => {
+    assert.throws(() => new ChessGame({ blastRadius: 3 }), /Blast radius/);
+    assert.throws(() => new ChessGame({ pawnsImmune: "no" }), /immunity/);
+    assert.throws(() => new ChessGame({ kingsCapture: true }), /kingsCapture/);
+  });
+
+  it("blow up a 5x5 square with a blast radius of 2", () => {
+    const game = gameFromFEN("7k/8/1n6/3r4/8/8/8/K2Q4 w - - 0 1", {
+      blastRadius: 2,
+    });
+    const result = game.makeMove("d1", "d5");
+
+    assert.equal(result.success, true);
+    assert.equal(pieceAt(game, "b6"), null);
+    assert.equal(result.move.explosionSquares.length, 25);
+  });
+
+  it("only destroy the two pieces with a blast radius of 0", () => {
+    const game = gameFromFEN("7k/8/2pnb3/3r4/8/8/8/K2Q4 w - - 0 1", {
+      blastRadius: 0,
+    });
+    game.makeMove("d1", "d5");
+
+    assert.equal(pieceAt(game, "d5"), null);
+    assert.equal(pieceAt(game, "e6"), "b");
+    assert.equal(pieceAt(game, "d6"), "n");
+  });
+
+  it("explode pawns next to the capture when they aren't immune", () => {
+    const game = gameFromFEN("7k/8/2p1b3/3n4/2P1r3/8/8/K2Q4 w - - 0 1", {
+      pawnsImmune: false,
+    });
+    const result = game.makeMove("d1", "d5");
+
+    assert.equal(pieceAt(game, "c6"), null);
+    assert.equal(pieceAt(game, "c4"), null);
+    assert.deepEqual(result.move.survivingPawns, []);
+  });
+
+  it("cancel check between kings within the blast radius", () => {
+    const fen = "8/8/8/8/R3k3/8/4K3/8 b - - 0 1";
+
+    assert.equal(gameFromFEN(fen).isInCheck(), true);
+    assert.equal(gameFromFEN(fen, { blastRadius: 2 }).isInCheck(), false);
+  });
+
+  it("are kept when a game is exported to PGN and loaded again", () => {
+    const game = new ChessGame({ blastRadius: 2, pawnsImmune: false });
+    game.makeMove("e2", "e4");
+    const pgn = game.exportPGN();
+
+    assert.match(pgn, /\[BlastRadius "2"\]/);
+    assert.match(pgn, /\[PawnsImmune "0"\]/);
+
+    const loaded = new ChessGame();
+    loaded.loadPGN(pgn);
+    assert.deepEqual(loaded.rules, game.rules);
+    assert.equal(loaded.getFEN(), game.getFEN());
+  });
+});
+
+describe("Atomic960", () => {
+  it("numbers the Chess960 back ranks as usual", () => {
+    const game = new ChessGame({ chess960: true });
+
+    assert.equal(game.getChess960BackRank(518), "RNBQKBNR");
+    assert.equal(game.getChess960BackRank(0), "BBQNNRKR");
+    assert.equal(game.getChess960BackRank(959), "RKRNNQBB");
+    assert.throws(() => game.getChess960BackRank(960), /0 to 959/);
+  });
+
+  it("starts from a mirrored back rank with the king between the rooks", () => {
+    const game = new ChessGame({ chess960: true });
+    const [black, , , , , , , white] = game.getFEN().split(" ")[0].split("/");
+
+    assert.equal(black, white.toLowerCase());
+    assert.match(white, /^[^K]*R[^K]*K[^K]*R[^K]*$/);
+    const bishops = [...white].flatMap((letter, col) =>
+      letter === "B" ? [col % 2] : []
+    );
+    assert.notEqual(bishops[0], bishops[1]);
+  });
+
+  it("castles by moving the king onto its rook", () => {
+    const game = gameFromFEN("4k3/8/8/8/8/8/8/R4KR1 w KQ - 0 1", {
+      chess960: true,
+    });
+    const result = game.makeMove("f1", "g1");
+
+    assert.equal(result.success, true);
+    assert.equal(result.san, "O-O");
+    assert.equal(pieceAt(game, "g1"), "K");
+    assert.equal(pieceAt(game, "f1"), "R");
+    assert.equal(game.getFEN().split(" ")[2], "-");
+
+    game.undo();
+    game.makeMove("f1", "a1");
+    assert.equal(pieceAt(game, "c1"), "K");
+    assert.equal(pieceAt(game, "d1"), "R");
+  });
+
+  it("reads castling in SAN as the king moving onto its rook", () => {
+    const game = gameFromFEN("4k3/8/8/8/8/8/8/R4KR1 w KQ - 0 1", {
+      chess960: true,
+    });
+
+    assert.deepEqual(game.parseMove("O-O"), {
+      from: "f1",
+      to: "g1",
+      promotion: null,
+    });
+    assert.deepEqual(game.parseMove("O-O-O").to, "a1");
+  });
+
+  it("does not castle across pieces or through check", () => {
+    const blocked = gameFromFEN("4k3/8/8/8/8/8/8/RB3KR1 w Q - 0 1", {
+      chess960: true,
+    });
+    const attacked = gameFromFEN("3rk3/8/8/8/8/8/8/R4KR1 w Q - 0 1", {
+      chess960: true,
+    });
+
+    assert.equal(blocked.makeMove("f1", "a1").code, "CASTLING_NOT_ALLOWED");
+    assert.equal(attacked.makeMove("f1", "a1").code, "CASTLING_NOT_ALLOWED");
+  });
+
+  it("writes castling rights in X-FEN, with the file of an inner rook", () => {
+    const game = gameFromFEN("4k3/8/8/8/8/8/8/1R2K1RR w GB - 0 1", {
+      chess960: true,
+    });
+
+    assert.equal(game.getFEN().split(" ")[2], "GQ");
+  });
+
+  it("keeps the starting position when exported to PGN", () => {
+    const game = new ChessGame({ chess960: true });
+    game.initializeGame(0);
+    game.makeMove("e2", "e4");
+    const pgn = game.exportPGN();
+
+    assert.match(pgn, /\[Variant "Atomic960"\]/);
+    assert.match(
+      pgn,
+      /\[FEN "bbqnnrkr\/pppppppp\/8\/8\/8\/8\/PPPPPPPP\/BBQNNRKR w KQkq - 0 1"\]/
+    );
+
+    const loaded = new ChessGame();
+    loaded.loadPGN(pgn);
+    assert.equal(loaded.rules.chess960, true);
+    assert.equal(loaded.getFEN(), game.getFEN());
+  });
+});